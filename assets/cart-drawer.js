@@ -47,6 +47,10 @@ class CartDrawer extends HTMLElement {
         id: 'cart-drawer',
         selector: '.f-cart-drawer__items',
       },
+      {
+        id: 'cart-drawer',
+        selector: '.f-cart-drawer__saved',
+      },
     ]
 
     if (renderFooter) {
@@ -78,6 +82,11 @@ class CartDrawerItems extends CartItems {
         id: 'Drawer-Cart',
         section: 'cart-drawer',
         selector: '.f-cart-drawer__block-subtotal',
+      },
+      {
+        id: 'Drawer-Cart',
+        section: 'cart-drawer',
+        selector: '.f-cart-drawer__saved',
       }
     ];
   }
@@ -6,28 +6,76 @@ if (!customElements.get('f-cart-goal')) {
             this.selectors = {
                 cartDrawer: '.f-cart-drawer__inner',
                 leftToSpend: '[data-left-to-spend]',
-                cartGoalTitle: '.f-cartgoal__title'
+                cartGoalTitle: '.f-cartgoal__title',
+                defaultMessage: '.f-cartgoal__default-message',
+                milestones: '[data-cart-goal-milestones]',
+                markers: '[data-cart-goal-markers]'
             }
 
-            this.confettiShow = false
-            this.goalDone = false
-            this.goal = Number(this.dataset.cartGoal) * Number(window.Shopify.currency.rate || 1) || 0
             this.money_format = window.FoxThemeSettings.money_format
             this.enableConfetti = this.dataset.enableConfetti === 'true'
+            this.milestones = this.getMilestones()
+            this.goal = this.milestones.length ? this.milestones[this.milestones.length - 1].amount : 0
+            // Milestones already reached when the page loads don't celebrate
+            this.initialized = false
+        }
+
+        // Amounts of the milestones that have had their confetti this session, so
+        // dropping below one and coming back doesn't celebrate it again
+        get celebrated() {
+            try {
+                return JSON.parse(sessionStorage.getItem('foxtheme-cart-goal-celebrated')) || []
+            } catch (error) {
+                return []
+            }
+        }
+
+        set celebrated(amounts) {
+            try {
+                sessionStorage.setItem('foxtheme-cart-goal-celebrated', JSON.stringify(amounts))
+            } catch (error) {
+                // Storage is disabled; confetti may repeat
+            }
         }
 
         connectedCallback() {
+            this.renderMarkers()
             this.updateCartGoal(Number(this.dataset.cartTotal))
-            window.FoxThemeEvents.subscribe(`ON_CART_UPDATED`, state => {
-              this.updateCartGoal(state.items_subtotal_price)
-            })
-            window.FoxThemeEvents.subscribe(`ON_ITEM_ADDED`, async () => {
-              const newCart = await window.FoxThemeCartHelpers.getState()
-              if (newCart) {
-                this.updateCartGoal(newCart.items_subtotal_price)
-              }
+            window.FoxTheme.CartStore.subscribe(cart => {
+              this.updateCartGoal(cart.items_subtotal_price)
             })
-            this.confettiShow = this.goalDone
+        }
+
+        // Amounts are set in the store currency and converted like the single goal was
+        getMilestones() {
+            const rate = Number(window.Shopify.currency.rate || 1)
+            let milestones = []
+            try {
+                milestones = JSON.parse(this.querySelector(this.selectors.milestones).textContent)
+            } catch (error) {
+                console.error('[cart-goal] Invalid milestones:', error)
+            }
+
+            return milestones
+                .map(milestone => ({ ...milestone, amount: Number(milestone.amount) * rate }))
+                .filter(milestone => milestone.amount > 0)
+                .sort((a, b) => a.amount - b.amount)
+        }
+
+        renderMarkers() {
+            const markers = this.querySelector(this.selectors.markers)
+            if (!markers || this.milestones.length < 2) return
+
+            const escape = (value) => {
+                const span = document.createElement('span')
+                span.textContent = value
+                return span.innerHTML.replace(/"/g, '&quot;')
+            }
+            markers.innerHTML = this.milestones.map((milestone, index) => `
+                <span class="f-cartgoal__marker" style="--marker: ${(milestone.amount * 100) / this.goal}%" data-milestone="${index}" title="${escape(milestone.reward)}">
+                    <span class="visually-hidden">${escape(milestone.reward)}</span>
+                </span>
+            `).join('')
         }
 
         updateCartGoal(state) {
@@ -38,39 +86,46 @@ if (!customElements.get('f-cart-goal')) {
             }
 
             this.cartTotal = state / 100
-            this.goalLeft = this.goal - this.cartTotal
-            this.goalDone = this.goalLeft <= 0
-
-            this.percent = (this.cartTotal * 100) / this.goal
+            const reached = this.milestones.filter(milestone => this.cartTotal >= milestone.amount)
+            const next = this.milestones[reached.length]
+            this.goalDone = !next
 
+            this.percent = this.goal ? (this.cartTotal * 100) / this.goal : 0
             if (this.percent >= 100) this.percent = 100
 
-            if (this.cartTotal >= this.goal) {
-                this.style.setProperty('--progress', `${this.percent}%`)
+            this.style.setProperty('--progress', `${this.percent}%`)
+            this.dataset.total = this.cartTotal
+            this.querySelectorAll('[data-milestone]').forEach((marker, index) => {
+                marker.classList.toggle('is-reached', index < reached.length)
+            })
+
+            if (this.goalDone) {
                 this.classList.add('f-cartgoal--done', 'shakeY')
-                this.dataset.total = this.cartTotal
             } else {
-                let spend = (this.goal - this.cartTotal) * 100
-                this.querySelector(this.selectors.leftToSpend).innerHTML = formatMoney(spend, this.money_format)
+                const spend = (next.amount - this.cartTotal) * 100
+                const leftToSpend = `<strong data-left-to-spend>${formatMoney(spend, this.money_format)}</strong>`
+                this.querySelector(this.selectors.defaultMessage).innerHTML = next.message.replace('{{amount}}', leftToSpend)
                 this.classList.remove('f-cartgoal--done', 'shakeY')
-                this.style.setProperty('--progress', `${this.percent}%`)
-                this.dataset.total = this.cartTotal
             }
 
-            if (this.goalLeft <= 0 && this.enableConfetti) {
-                this.showConfetti()
-            } else {
-                this.confettiShow = false
+            // Confetti only plays in the drawer, so only the drawer's goal records milestones
+            if (!this.closest(this.selectors.cartDrawer)) return
+            const celebrated = this.celebrated
+            const newlyReached = reached.filter(milestone => !celebrated.includes(milestone.amount))
+            if (newlyReached.length) {
+                this.celebrated = [...celebrated, ...newlyReached.map(milestone => milestone.amount)]
+                if (this.initialized && this.enableConfetti) newlyReached.forEach((milestone, index) => this.showConfetti(index))
             }
+            this.initialized = true
         }
 
-        showConfetti() {
+        // Several milestones reached at once get a burst each, one after the other
+        showConfetti(index = 0) {
             const cartDrawer = this.closest(this.selectors.cartDrawer)
-            if (!this.confettiShow && cartDrawer) {
+            if (cartDrawer) {
                 setTimeout(() => {
                     new window.FoxTheme.Confetti(cartDrawer)
-                    this.confettiShow = true
-                }, 800)
+                }, 800 + index * 600)
             }
         }
     }
@@ -0,0 +1,139 @@
+/**
+ * Cart request queue.
+ *
+ * Cart writes from the cart page, drawer, gift wrapping, cart note and product
+ * add-ons all go through here so they never overlap: requests run one at a time
+ * in the order they were queued. While a request is in flight, new calls wait in
+ * the queue and redundant ones are merged:
+ *   - a quantity change for the same line as the last queued change replaces it;
+ *   - consecutive /cart/update.js calls are folded into one request.
+ *
+ * When the queue drains, ON_CART_UPDATED is emitted once with the cart as it
+ * stands after the whole batch, so listeners never see an intermediate state.
+ *
+ * Usage:
+ *   FoxTheme.CartQueue.change({ id: key, quantity: 2, sections, sections_url })
+ *   FoxTheme.CartQueue.update({ attributes: { 'gift-note': 'Hi' } })
+ *   FoxTheme.CartQueue.add({ id: variantId, quantity: 1 })
+ *
+ * Each call resolves with the parsed response of the request that carried it
+ * (merged calls share one response). Shopify error responses resolve as well,
+ * with their `status` / `description` body, so callers keep their own error
+ * handling; only network failures reject.
+ */
+window.FoxTheme = window.FoxTheme || {};
+
+class CartQueue {
+  constructor() {
+    this.jobs      = [];
+    this.running   = false;
+    this.batchCart = null;
+    this.changed   = false;
+  }
+
+  change(body) {
+    return this.enqueue('change', window.FoxThemeSettings.routes.cart_change_url, body);
+  }
+
+  update(body) {
+    return this.enqueue('update', window.FoxThemeSettings.routes.cart_update_url, body);
+  }
+
+  add(body) {
+    return this.enqueue('add', window.FoxThemeSettings.routes.cart_add_url, body);
+  }
+
+  enqueue(type, url, body) {
+    return new Promise((resolve, reject) => {
+      const last = this.jobs[this.jobs.length - 1];
+
+      if (last && this.canMerge(last, type, body)) {
+        last.body = this.mergeBodies(last.body, body);
+        last.callbacks.push({ resolve, reject });
+      } else {
+        this.jobs.push({ type, url, body: { ...body }, callbacks: [{ resolve, reject }] });
+      }
+
+      this.run();
+    });
+  }
+
+  // Only the job at the tail is merged, so no request ever jumps over another
+  // one that could shift line numbers or keys underneath it.
+  canMerge(job, type, body) {
+    if (job.type !== type) return false;
+    if (type === 'update') return true;
+    if (type === 'change') {
+      const target = body.id ?? body.line;
+      const queued = job.body.id ?? job.body.line;
+      return target !== undefined && String(target) === String(queued);
+    }
+    return false;
+  }
+
+  mergeBodies(queued, next) {
+    const merged = { ...queued, ...next };
+    ['updates', 'attributes'].forEach((key) => {
+      if (queued[key] || next[key]) merged[key] = { ...queued[key], ...next[key] };
+    });
+    if (queued.sections || next.sections) {
+      merged.sections = [...new Set([...(queued.sections || []), ...(next.sections || [])])];
+    }
+    return merged;
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    while (this.jobs.length) {
+      const job = this.jobs.shift();
+
+      try {
+        const response = await fetch(job.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          body: JSON.stringify(job.body)
+        });
+        const state = await response.json();
+
+        if (response.ok) {
+          this.changed = true;
+          // /cart/add.js answers with the added items, not the cart
+          this.batchCart = job.type === 'add' ? null : state;
+        }
+        job.callbacks.forEach(({ resolve }) => resolve(state));
+      } catch (error) {
+        this.batchCart = null;
+        job.callbacks.forEach(({ reject }) => reject(error));
+      }
+    }
+
+    await this.settle();
+    this.running = false;
+
+    // Calls made while the cart was being settled start a new batch
+    if (this.jobs.length) this.run();
+  }
+
+  async settle() {
+    if (!this.changed) return;
+
+    let cart = this.batchCart;
+    this.changed   = false;
+    this.batchCart = null;
+
+    if (!cart) {
+      try {
+        cart = await window.FoxTheme.CartStore.refresh();
+      } catch (error) {
+        console.error('[cart-queue] Could not refresh the cart:', error);
+        return;
+      }
+    }
+
+    window.FoxThemeEvents.emit('ON_CART_UPDATED', cart);
+  }
+}
+
+window.FoxTheme.CartQueue = window.FoxTheme.CartQueue || new CartQueue();
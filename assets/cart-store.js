@@ -0,0 +1,128 @@
+/**
+ * Cart store.
+ *
+ * Holds the latest /cart.js state so cart-aware components share one copy
+ * instead of each fetching their own. The store refreshes once per mutation:
+ *   - ON_CART_UPDATED already carries the settled cart (see cart-queue.js), which
+ *     is stored as is;
+ *   - ON_ITEM_ADDED only carries the added items, so it triggers a single
+ *     /cart.js request that every subscriber shares.
+ * Each new state also updates the header cart count.
+ *
+ * Usage:
+ *   const unsubscribe = FoxTheme.CartStore.subscribe((cart) => ...)
+ *   FoxTheme.CartStore.get()              // latest cart, or null before the first load
+ *   await FoxTheme.CartStore.load()       // the cached cart, fetched on first use
+ *   await FoxTheme.CartStore.refresh()    // re-fetch; overlapping calls share one request
+ *
+ * subscribe() calls back straight away when a cart is already known, then on
+ * every change. It never fetches by itself; call load() when the initial state
+ * is needed.
+ *
+ * FoxThemeCartHelpers.getState() is routed through refresh() so older callers
+ * share the same request.
+ *
+ * Cart changes are also broadcast to the store's other open tabs. A receiving tab
+ * emits ON_CART_UPDATED with the new cart and `{ remote: true }` as a second
+ * argument, so cart views can redraw themselves and one-off reactions (popups and
+ * the like) can tell the change didn't happen in this tab. Subscribers get the
+ * same `{ remote }` flag after the cart.
+ */
+window.FoxTheme = window.FoxTheme || {};
+
+class CartStore {
+  constructor() {
+    this.cart      = null;
+    this.pending   = null;
+    this.listeners = new Set();
+    this.channel   = 'BroadcastChannel' in window ? new BroadcastChannel('foxtheme-cart') : null;
+
+    window.FoxThemeEvents.subscribe('ON_CART_UPDATED', (cart, change) => {
+      const remote = Boolean(change?.remote);
+      if (cart?.items) {
+        this.set(cart, { remote });
+        if (!remote) this.broadcast(cart);
+      } else {
+        this.refresh()
+          .then((current) => !remote && this.broadcast(current))
+          .catch(() => {});
+      }
+    });
+    window.FoxThemeEvents.subscribe('ON_ITEM_ADDED', () => {
+      this.refresh()
+        .then((current) => this.broadcast(current))
+        .catch(() => {});
+    });
+
+    this.channel?.addEventListener('message', (event) => {
+      if (event.data?.cart) window.FoxThemeEvents.emit('ON_CART_UPDATED', event.data.cart, { remote: true });
+    });
+  }
+
+  get() {
+    return this.cart;
+  }
+
+  subscribe(callback) {
+    this.listeners.add(callback);
+    if (this.cart) callback(this.cart);
+    return () => this.listeners.delete(callback);
+  }
+
+  load() {
+    return this.cart ? Promise.resolve(this.cart) : this.refresh();
+  }
+
+  refresh() {
+    if (this.pending) return this.pending;
+
+    this.pending = fetch(`${window.FoxThemeSettings.routes.cart}.js`, {
+      credentials: 'same-origin',
+      headers: { Accept: 'application/json' }
+    })
+      .then((response) => {
+        if (!response.ok) throw response;
+        return response.json();
+      })
+      .then((cart) => {
+        this.set(cart);
+        return cart;
+      })
+      .finally(() => {
+        this.pending = null;
+      });
+
+    return this.pending;
+  }
+
+  set(cart, change = {}) {
+    if (cart === this.cart) return;
+
+    this.cart = cart;
+    window.FoxThemeCartHelpers.updateCartCount(cart.item_count);
+    this.listeners.forEach((callback) => {
+      try {
+        callback(cart, change);
+      } catch (error) {
+        console.error('[cart-store] Subscriber failed:', error);
+      }
+    });
+  }
+
+  // Section HTML from the request that produced the cart is only useful here
+  broadcast(cart) {
+    if (!this.channel || !cart) return;
+
+    const { sections, ...state } = cart;
+    try {
+      this.channel.postMessage({ cart: state });
+    } catch (error) {
+      console.error('[cart-store] Could not broadcast the cart:', error);
+    }
+  }
+}
+
+if (!window.FoxTheme.CartStore) {
+  window.FoxTheme.CartStore = new CartStore();
+  window.FoxThemeCartHelpers.getState = () => window.FoxTheme.CartStore.refresh();
+}
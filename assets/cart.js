@@ -2,6 +2,105 @@ const fetchConfig = {
   method: 'POST',
   headers: { 'Content-Type': 'application/json', Accept: `application/json` }
 }
+
+// Removing a line offers an "Undo" toast. The snapshot keeps what is needed to put
+// the line back as it was: variant, quantity, selling plan and properties (so
+// add-ons stay linked to their product through _bundle_main), plus the gift-wrap
+// line and attributes in case the removal also dropped those.
+const CartUndo = {
+  snapshot: null,
+  cartItems: null,
+
+  capture(keys) {
+    const cart = window.FoxTheme.CartStore.get();
+    const lines = cart ? cart.items.filter((item) => keys.includes(item.key)) : [];
+    if (!lines.length) return null;
+
+    const giftWrapId = document.querySelector('gift-wrapping-component')?.dataset.giftWrapId;
+    return {
+      lines,
+      giftWrap: giftWrapId ? cart.items.find((item) => String(item.variant_id) === giftWrapId) : null,
+      attributes: { ...cart.attributes }
+    };
+  },
+
+  offer(snapshot, cartItems) {
+    this.snapshot  = snapshot;
+    this.cartItems = cartItems;
+
+    const title = document.createElement('span');
+    title.textContent = snapshot.lines[0].product_title;
+    window.FoxTheme.Notification.show({
+      target: document.body,
+      method: 'appendChild',
+      type: 'success',
+      message: `${window.FoxThemeStrings.cartItemRemoved.replace('[title]', title.innerHTML)} <button type="button" class="btn btn--underline" data-cart-undo>${window.FoxThemeStrings.cartUndo}</button>`,
+      last: 6000,
+      sticky: true
+    });
+  },
+
+  async restore() {
+    const { snapshot } = this;
+    const cartItems = this.cartItems?.isConnected
+      ? this.cartItems
+      : document.querySelector('cart-drawer-items') || document.querySelector('cart-items');
+    this.snapshot  = null;
+    this.cartItems = null;
+    if (!snapshot || !cartItems) return;
+
+    const cart = window.FoxTheme.CartStore.get();
+    const items = snapshot.lines.map((line) => {
+      const item = { id: line.variant_id, quantity: line.quantity, properties: line.properties };
+      if (line.selling_plan_allocation) item.selling_plan = line.selling_plan_allocation.selling_plan.id;
+      return item;
+    });
+    const { giftWrap } = snapshot;
+    if (giftWrap && !cart?.items.some((item) => item.variant_id === giftWrap.variant_id)) {
+      items.push({ id: giftWrap.variant_id, quantity: giftWrap.quantity });
+    }
+
+    const attributes = {};
+    ['gift-wrapping', 'gift-note'].forEach((name) => {
+      const before = snapshot.attributes[name] ?? '';
+      if ((cart?.attributes[name] ?? '') !== before) attributes[name] = before;
+    });
+
+    const sections = {
+      sections: cartItems.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname
+    };
+    const restoreAttributes = Object.keys(attributes).length > 0;
+
+    cartItems.enableLoading();
+    try {
+      let state = await window.FoxTheme.CartQueue.add({ items, ...(restoreAttributes ? {} : sections) });
+      if (state.status) throw new Error(state.description);
+      if (restoreAttributes) {
+        state = await window.FoxTheme.CartQueue.update({ attributes, ...sections });
+        if (state.status) throw new Error(state.description);
+      }
+      cartItems.toggleEmptyState(false);
+      cartItems.renderContents(state);
+    } catch (error) {
+      console.error('[cart] Undo failed:', error);
+      const errors = document.querySelector('#cart-errors, #CartDrawer-CartErrors');
+      if (errors) {
+        errors.textContent = window.FoxThemeStrings.cartError;
+      }
+    } finally {
+      cartItems.loading.finish();
+    }
+  }
+};
+
+document.addEventListener('click', (event) => {
+  const button = event.target.closest('[data-cart-undo]');
+  if (!button) return;
+  button.closest('.f-notification')?.remove();
+  CartUndo.restore();
+});
+
 class CartRemoveButton extends HTMLElement {
   constructor() {
     super();
@@ -9,13 +108,577 @@ class CartRemoveButton extends HTMLElement {
     this.addEventListener('click', (event) => {
       event.preventDefault();
       const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
-      cartItems.updateQuantity(this.dataset.index, 0);
+      const key = this.closest('.f-cart-item')?.dataset.cartItem;
+      // A main product takes its add-ons with it (see updateQuantity)
+      const snapshot = CartUndo.capture([key, ...cartItems.getLinkedAddonKeys(key)]);
+      cartItems.updateQuantity(this.dataset.index, 0).then((removed) => {
+        if (removed && snapshot) CartUndo.offer(snapshot, cartItems);
+      });
     });
   }
 }
 
 customElements.define('cart-remove-button', CartRemoveButton);
 
+class CartSystemRemoveButton extends HTMLElement {
+  constructor() {
+    super();
+
+    this.addEventListener('click', (event) => {
+      event.preventDefault();
+      const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+      const keys = Array.from(cartItems.querySelectorAll(`[data-system-id="${CSS.escape(this.dataset.systemId)}"]`))
+        .map((line) => line.dataset.cartItem)
+        .filter(Boolean);
+      cartItems.removeItems(keys);
+    });
+  }
+}
+
+customElements.define('cart-system-remove-button', CartSystemRemoveButton);
+
+// System Builder lines name their bundle tier's discount code in _bundle_code.
+// Once no line in the cart refers to a code any more (the system was removed or
+// saved at another tier), the code is taken off so it stops discounting the rest.
+const BundleCodes = {
+  cart: null,
+
+  referenced(cart) {
+    return new Set(cart.items.map((item) => item.properties?._bundle_code?.toLowerCase()).filter(Boolean));
+  },
+
+  watch() {
+    window.FoxTheme.CartStore.subscribe((cart, change) => {
+      const previous = this.cart;
+      this.cart = cart;
+      if (!previous || change?.remote) return;
+
+      const current = this.referenced(cart);
+      const stale   = [...this.referenced(previous)].filter((code) => !current.has(code));
+      if (!stale.length) return;
+
+      const codes = (cart.discount_codes || []).map((discount) => discount.code);
+      const kept  = codes.filter((code) => !stale.includes(code.toLowerCase()));
+      if (kept.length !== codes.length) this.apply(kept);
+    });
+  },
+
+  async apply(codes) {
+    const views    = Array.from(document.querySelectorAll('cart-items, cart-drawer-items'));
+    const sections = new Set(views.flatMap((cartItems) => cartItems.getSectionsToRender().map((section) => section.section)));
+
+    try {
+      const state = await window.FoxTheme.CartQueue.update({
+        discount: codes.join(','),
+        sections: [...sections],
+        sections_url: window.location.pathname
+      });
+      if (state.status) throw new Error(state.description);
+      views.forEach((cartItems) => cartItems.renderContents(state));
+    } catch (error) {
+      console.error('[cart] Could not remove the bundle discount code:', error);
+    }
+  }
+};
+
+BundleCodes.watch();
+
+// "Save for later" moves a line out of the cart into a list kept in localStorage.
+// <cart-saved-items> placeholders sit inside the drawer and cart sections and draw
+// the list whenever they are rendered, so the usual section re-render keeps them
+// current. Saved entries keep the variant, quantity, selling plan and properties.
+const SavedForLater = {
+  storageKey: 'foxtheme-saved-for-later',
+  // Lines saved together share a timestamp, so ids also carry a running count
+  counter: 0,
+
+  get() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  },
+
+  // Returns whether the list could be stored (private mode or a full quota throw)
+  set(entries) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(entries));
+    } catch (error) {
+      console.warn('[cart] Could not store the saved-for-later list:', error);
+      return false;
+    }
+    window.FoxThemeEvents.emit('ON_SAVED_FOR_LATER_UPDATED', entries);
+    return true;
+  },
+
+  // Returns the stored entries, or null when they couldn't be stored
+  add(...lines) {
+    const entries = lines.map((line) => ({
+      id: `${line.variant_id}-${Date.now().toString(36)}-${(this.counter++).toString(36)}`,
+      variantId: line.variant_id,
+      quantity: line.quantity,
+      properties: line.properties || {},
+      sellingPlan: line.selling_plan_allocation?.selling_plan.id || null,
+      title: line.product_title,
+      variantTitle: line.product_has_only_default_variant ? '' : line.variant_title,
+      image: line.image,
+      url: line.url,
+      price: line.final_price
+    }));
+    return this.set([...entries, ...this.get()]) ? entries : null;
+  },
+
+  remove(...ids) {
+    this.set(this.get().filter((entry) => !ids.includes(entry.id)));
+  }
+};
+
+class CartSaveButton extends HTMLElement {
+  constructor() {
+    super();
+
+    this.addEventListener('click', (event) => {
+      event.preventDefault();
+      const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+      const key = this.closest('.f-cart-item')?.dataset.cartItem;
+      const items = window.FoxTheme.CartStore.get()?.items || [];
+      // A main product's add-ons leave the cart with it (see updateQuantity), so they're saved too
+      const lines = [key, ...cartItems.getLinkedAddonKeys(key)]
+        .map((lineKey) => items.find((item) => item.key === lineKey))
+        .filter(Boolean);
+      if (!lines.length) return;
+
+      // Save before removing, so a failed save leaves the line in the cart
+      const entries = SavedForLater.add(...lines);
+      if (!entries) {
+        cartItems.updateLiveRegions(this.dataset.index, window.FoxThemeStrings.cartSaveFailed);
+        return;
+      }
+      cartItems.updateQuantity(this.dataset.index, 0).then((removed) => {
+        if (!removed) SavedForLater.remove(...entries.map((entry) => entry.id));
+      });
+    });
+  }
+}
+
+customElements.define('cart-save-button', CartSaveButton);
+
+class CartSavedItems extends HTMLElement {
+  constructor() {
+    super();
+
+    this.addEventListener('click', (event) => {
+      const item = event.target.closest('[data-saved-id]');
+      if (!item) return;
+      if (event.target.closest('[data-saved-move]')) this.moveToCart(item.dataset.savedId, event.target.closest('button'));
+      if (event.target.closest('[data-saved-remove]')) SavedForLater.remove(item.dataset.savedId);
+    });
+  }
+
+  connectedCallback() {
+    this.render();
+    this.unsubscribe = window.FoxThemeEvents.subscribe('ON_SAVED_FOR_LATER_UPDATED', () => this.render());
+  }
+
+  disconnectedCallback() {
+    if (this.unsubscribe) this.unsubscribe();
+  }
+
+  render() {
+    const entries = SavedForLater.get();
+    this.hidden = entries.length === 0;
+    if (!entries.length) {
+      this.innerHTML = '';
+      return;
+    }
+
+    const strings = window.FoxThemeStrings;
+    const escape = (value) => {
+      const span = document.createElement('span');
+      span.textContent = value;
+      return span.innerHTML;
+    };
+
+    this.innerHTML = `
+      <h3 class="f-cart-saved__title h6">${strings.cartSavedTitle} (${entries.length})</h3>
+      <ul class="f-cart-saved__list list-none" role="list">
+        ${entries.map((entry) => `
+          <li class="f-cart-saved__item flex" data-saved-id="${escape(entry.id)}">
+            ${entry.image ? `<a class="f-cart-saved__image" href="${escape(entry.url)}" tabindex="-1" aria-hidden="true"><img src="${escape(entry.image)}" alt="" width="80" loading="lazy"></a>` : ''}
+            <div class="f-cart-saved__info">
+              <a class="f-cart-saved__name text-product-title" href="${escape(entry.url)}">${escape(entry.title)}</a>
+              ${entry.variantTitle ? `<p class="f-cart-saved__variant text-sm text-subtext">${escape(entry.variantTitle)}</p>` : ''}
+              <p class="f-cart-saved__price text-sm">${formatMoney(entry.price, window.FoxThemeSettings.money_format)}${entry.quantity > 1 ? ` &times; ${entry.quantity}` : ''}</p>
+              <div class="f-cart-saved__actions flex items-center">
+                <button type="button" class="btn btn--underline" data-saved-move>${strings.cartMoveToCart}</button>
+                <button type="button" class="btn btn--underline" data-saved-remove>${strings.cartRemove}</button>
+              </div>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  async moveToCart(id, button) {
+    const entry = SavedForLater.get().find((saved) => saved.id === id);
+    const cartItems = this.closest('cart-drawer')
+      ? document.querySelector('cart-drawer-items')
+      : document.querySelector('cart-items');
+    if (!entry || !cartItems) return;
+
+    const item = { id: entry.variantId, quantity: entry.quantity, properties: entry.properties };
+    if (entry.sellingPlan) item.selling_plan = entry.sellingPlan;
+
+    button.disabled = true;
+    try {
+      const state = await window.FoxTheme.CartQueue.add({
+        items: [item],
+        sections: cartItems.getSectionsToRender().map((section) => section.section),
+        sections_url: window.location.pathname
+      });
+      if (state.status) {
+        button.disabled = false;
+        window.FoxTheme.Notification.show({
+          target: button.closest('.f-cart-saved__item'),
+          method: 'appendChild',
+          type: 'warning',
+          message: state.description || window.FoxThemeStrings.cartError,
+          last: 5000
+        });
+        return;
+      }
+      SavedForLater.remove(id);
+      cartItems.toggleEmptyState(false);
+      cartItems.renderContents(state);
+    } catch (error) {
+      button.disabled = false;
+      console.error('[cart] Move to cart failed:', error);
+    }
+  }
+}
+
+customElements.define('cart-saved-items', CartSavedItems);
+
+// Discount code block in the drawer and cart footer. Shopify replaces the cart's
+// codes with whatever `discount` holds, so applying or removing one sends the
+// full list. Codes Shopify accepts but can't apply come back with
+// `applicable: false`; those are reported inline instead of being listed.
+class CartDiscount extends HTMLElement {
+  constructor() {
+    super();
+
+    this.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const code = this.querySelector('[data-discount-input]').value.trim();
+      if (code) this.apply(code);
+    });
+
+    this.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-discount-remove]');
+      if (!button) return;
+      event.preventDefault();
+      this.remove(button.dataset.discountRemove);
+    });
+  }
+
+  get codes() {
+    return this.dataset.codes ? this.dataset.codes.split(',') : [];
+  }
+
+  get cartItems() {
+    return this.closest('cart-drawer')
+      ? document.querySelector('cart-drawer-items')
+      : document.querySelector('cart-items');
+  }
+
+  async apply(code) {
+    if (this.codes.some((applied) => applied.toLowerCase() === code.toLowerCase())) {
+      this.showMessage(window.FoxThemeStrings.notifications.discount_applied);
+      return;
+    }
+
+    const state = await this.submit([...this.codes, code], this.querySelector('[type="submit"]'));
+    if (!state) return;
+
+    const result = state.discount_codes?.find((discount) => discount.code.toLowerCase() === code.toLowerCase());
+    if (result && result.applicable) {
+      this.showMessage(window.FoxThemeStrings.notifications.discount_applied);
+    } else {
+      this.showMessage(window.FoxThemeStrings.cartDiscountInvalid.replace('[code]', code), true);
+    }
+  }
+
+  remove(code) {
+    this.submit(this.codes.filter((applied) => applied !== code), this.querySelector(`[data-discount-remove="${CSS.escape(code)}"]`));
+  }
+
+  // Resolves with the new cart, or nothing when the request failed
+  async submit(codes, button) {
+    const cartItems = this.cartItems;
+    if (!cartItems) return;
+
+    button?.classList.add('btn--loading');
+    button && (button.disabled = true);
+    try {
+      const state = await window.FoxTheme.CartQueue.update({
+        discount: codes.join(','),
+        sections: cartItems.getSectionsToRender().map((section) => section.section),
+        sections_url: window.location.pathname
+      });
+      if (state.status) {
+        this.showMessage(state.description || window.FoxThemeStrings.cartError, true);
+        return;
+      }
+      cartItems.renderContents(state);
+      return state;
+    } catch (error) {
+      console.error('[cart] Discount update failed:', error);
+      this.showMessage(window.FoxThemeStrings.cartError, true);
+    } finally {
+      button?.classList.remove('btn--loading');
+      button && (button.disabled = false);
+    }
+  }
+
+  // The drawer re-renders this block, so the message goes to whichever copy is on the page now
+  showMessage(message, isError = false) {
+    const current = document.getElementById(this.id) || this;
+    const element = current.querySelector('[data-discount-message]');
+    if (!element) return;
+
+    element.textContent = message;
+    element.classList.toggle('text-red', isError);
+    element.hidden = false;
+    if (isError) current.querySelector('[data-discount-input]')?.focus();
+  }
+}
+
+customElements.define('cart-discount', CartDiscount);
+
+// Inline option editor for a cart line. Shopify can't change the variant of a
+// line, so the line is removed and the new variant added with the same quantity,
+// selling plan and properties. Added lines go to the top of the cart, so the
+// lines that sat above it are taken out and added back after it, which keeps the
+// line where it was. Both requests are queued together so the cart settles once.
+class CartVariantEditor extends HTMLElement {
+  constructor() {
+    super();
+
+    this.toggleButton = this.querySelector('[data-variant-editor-toggle]');
+    this.panel = this.querySelector('[data-variant-editor-panel]');
+
+    this.toggleButton.addEventListener('click', () => this.toggle());
+    this.panel.addEventListener('change', () => this.updateOptions());
+    this.panel.addEventListener('click', (event) => {
+      if (event.target.closest('[data-variant-editor-cancel]')) this.toggle(false);
+      if (event.target.closest('[data-variant-editor-submit]')) this.submit();
+    });
+  }
+
+  get selectedValues() {
+    return Array.from(this.panel.querySelectorAll('select'), (select) => select.value);
+  }
+
+  get selectedVariant() {
+    return window.FoxTheme.ProductHelper.getVariantFromOptionArray(this.productData, this.selectedValues);
+  }
+
+  toggle(open = this.panel.hidden) {
+    this.panel.hidden = !open;
+    this.toggleButton.setAttribute('aria-expanded', open);
+    if (open && !this.productData) this.load();
+  }
+
+  async load() {
+    try {
+      const response = await fetch(`${this.dataset.productUrl}.js`);
+      if (!response.ok) throw new Error(response.statusText);
+      this.productData = await response.json();
+    } catch (error) {
+      console.error('[cart] Could not load the product options:', error);
+      this.toggle(false);
+      return;
+    }
+
+    this.render();
+    this.updateOptions();
+  }
+
+  render() {
+    const { options, variants } = this.productData;
+    const current = variants.find((variant) => variant.id === Number(this.dataset.variantId));
+    const escape = (value) => {
+      const span = document.createElement('span');
+      span.textContent = value;
+      return span.innerHTML;
+    };
+
+    this.panel.innerHTML = `
+      ${options.map((option, index) => `
+        <label class="f-cart-variant-editor__option">
+          <span class="form-label text-sm">${escape(option.name)}</span>
+          <select class="form-control">
+            ${option.values.map((value) => `
+              <option value="${escape(value)}" data-option-position="${index + 1}"${current?.options[index] === value ? ' selected' : ''}>${escape(value)}</option>
+            `).join('')}
+          </select>
+        </label>
+      `).join('')}
+      <div class="f-cart-variant-editor__actions flex items-center">
+        <button type="button" class="btn btn--secondary text-sm" data-variant-editor-submit>${window.FoxThemeStrings.cartUpdateOptions}</button>
+        <button type="button" class="btn btn--underline text-sm" data-variant-editor-cancel>${window.FoxThemeStrings.cartCancel}</button>
+      </div>
+    `;
+  }
+
+  // Same matching as VariantPicker#hideSoldOutAndUnavailableOptions; options that
+  // can't be added to the cart are disabled as well as marked.
+  updateOptions() {
+    const classes = {
+      soldOut: 'variant-picker__option--soldout',
+      unavailable: 'variant-picker__option--unavailable'
+    };
+    const { getVariantFromOptionArray } = window.FoxTheme.ProductHelper;
+    const { productData, productData: { variants, options: { length: maxOptions } } } = this;
+    const values = this.selectedValues;
+
+    this.panel.querySelectorAll('option[data-option-position]').forEach((optNode) => {
+      const optPos = Number(optNode.dataset.optionPosition);
+      const { value } = optNode;
+
+      let matchVariants = [];
+      if (optPos === maxOptions) {
+        const optionsArray = [...values];
+        optionsArray[maxOptions - 1] = value;
+        matchVariants.push(getVariantFromOptionArray(productData, optionsArray));
+      } else {
+        matchVariants = variants.filter((v) => v.options[optPos - 1] === value && v.options[optPos - 2] === values[optPos - 2]);
+      }
+
+      matchVariants = matchVariants.filter(Boolean);
+      const isUnavailable = matchVariants.length === 0;
+      const isSoldOut = !isUnavailable && matchVariants.every((v) => v.available === false);
+      optNode.classList.toggle(classes.unavailable, isUnavailable);
+      optNode.classList.toggle(classes.soldOut, isSoldOut);
+      optNode.disabled = isUnavailable || isSoldOut;
+    });
+
+    const variant = this.selectedVariant;
+    this.panel.querySelector('[data-variant-editor-submit]').disabled =
+      !variant || !variant.available || variant.id === Number(this.dataset.variantId);
+  }
+
+  toCartItem(item, id = item.variant_id) {
+    const entry = { id, quantity: item.quantity, properties: item.properties };
+    if (item.selling_plan_allocation) entry.selling_plan = item.selling_plan_allocation.selling_plan.id;
+    return entry;
+  }
+
+  async submit() {
+    const variant = this.selectedVariant;
+    const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+    const cart = window.FoxTheme.CartStore.get();
+    const index = cart ? cart.items.findIndex((item) => item.key === this.dataset.lineKey) : -1;
+    if (!variant || !cartItems || index === -1) return;
+
+    cartItems.enableLoading();
+
+    // Shopify adds lines at the top of the cart, so keeping the edited line's place
+    // means taking out every line above it and adding them back (bottom up). That
+    // only happens when all of them can be added back; otherwise the edited line
+    // alone is replaced and moves to the top, and nothing else is touched.
+    const linesAbove = cart.items.slice(0, index).reverse();
+    const keepPosition = await this.canAddBack(linesAbove);
+    const lines = [cart.items[index], ...(keepPosition ? linesAbove : [])];
+
+    // Queued together so the cart settles only once
+    const [removed, added] = await Promise.allSettled([
+      window.FoxTheme.CartQueue.update({ updates: Object.fromEntries(lines.map((item) => [item.key, 0])) }),
+      window.FoxTheme.CartQueue.add({
+        items: [this.toCartItem(lines[0], variant.id), ...lines.slice(1).map((item) => this.toCartItem(item))],
+        sections: cartItems.getSectionsToRender().map((section) => section.section),
+        sections_url: window.location.pathname
+      })
+    ]);
+
+    try {
+      const failure = [removed, added].find((result) => result.status === 'rejected' || result.value.status);
+      if (!failure) {
+        cartItems.renderContents(added.value);
+        return;
+      }
+
+      console.error('[cart] Variant change failed:', failure.reason || failure.value);
+      const message = (added.status === 'fulfilled' && added.value.description) || window.FoxThemeStrings.cartError;
+      await this.restore(cart, lines, variant.id);
+
+      const current = await window.FoxTheme.CartStore.refresh();
+      await cartItems.refreshSections(current);
+      const lost = lines.filter((item) => !current.items.some((line) => line.key === item.key));
+      if (lost.length) {
+        const errors = document.querySelector('#cart-errors, #CartDrawer-CartErrors');
+        if (errors) errors.textContent = window.FoxThemeStrings.cartLinesNotRestored.replace('[titles]', lost.map((item) => item.title).join(', '));
+      } else {
+        const restoredIndex = current.items.findIndex((item) => item.key === lines[0].key);
+        cartItems.updateLiveRegions(restoredIndex + 1, message);
+      }
+    } catch (error) {
+      console.error('[cart] Could not re-render the cart after a failed variant change:', error);
+    } finally {
+      cartItems.loading.finish();
+    }
+  }
+
+  // Whether every line can go back in: its product is still published and its
+  // variant still exists and is available
+  async canAddBack(lines) {
+    const urls = [...new Set(lines.map((item) => item.url.split('?')[0]))];
+    try {
+      const products = await Promise.all(urls.map(async (url) => {
+        const response = await fetch(`${url}.js`);
+        if (!response.ok) throw new Error(response.statusText);
+        return response.json();
+      }));
+      return lines.every((item) => products.some((product) =>
+        product.variants.some((variant) => variant.id === item.variant_id && variant.available)
+      ));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Puts the cart back as it was before the edit: whichever half of the edit went
+  // through is undone from the actual cart, and removed lines are added back.
+  async restore(original, lines, variantId) {
+    try {
+      const current = await window.FoxTheme.CartStore.refresh();
+      const updates = {};
+      current.items.forEach((item) => {
+        const before = original.items.find((line) => line.key === item.key);
+        // Re-added copies merge into lines the removal left behind
+        if (before && before.quantity !== item.quantity) updates[item.key] = before.quantity;
+        if (!before && item.variant_id === variantId) updates[item.key] = 0;
+      });
+      if (Object.keys(updates).length) await window.FoxTheme.CartQueue.update({ updates });
+
+      const missing = lines.filter((item) => !current.items.some((line) => line.key === item.key));
+      if (!missing.length) return;
+      // One line that can't be added (e.g. over the stock left) fails the whole
+      // batch, so fall back to one line at a time to get the others back
+      const addBack = (items) => window.FoxTheme.CartQueue.add({ items: items.map((item) => this.toCartItem(item)) })
+        .then((state) => !state.status, () => false);
+      if (await addBack(missing)) return;
+      for (const item of missing) await addBack([item]);
+    } catch (error) {
+      console.error('[cart] Could not restore the cart after a failed variant change:', error);
+    }
+  }
+}
+
+customElements.define('cart-variant-editor', CartVariantEditor);
+
 class CartItems extends HTMLElement {
   constructor() {
     super();
@@ -30,30 +693,39 @@ class CartItems extends HTMLElement {
   }
 
   cartUpdateUnsubscriber = undefined;
+  cartStoreUnsubscriber = undefined;
+  remoteUpdateUnsubscriber = undefined;
 
   connectedCallback() {
-    this.cartUpdateUnsubscriber = window.FoxThemeEvents.subscribe('ON_ITEM_ADDED', async (parsedState) => {
+    this.cartUpdateUnsubscriber = window.FoxThemeEvents.subscribe('ON_ITEM_ADDED', (parsedState) => {
       if (window.FoxThemeSettings.template === 'cart') {
         this.renderContents(parsedState)
       }
-      const cart = await FoxThemeCartHelpers.getState()
-      if (cart) {
-        this.cart = cart
-        FoxThemeCartHelpers.updateCartCount(cart.item_count)
-      }
     });
 
-    window.FoxThemeEvents.subscribe('ON_CART_UPDATED', (cart) => {
+    this.cartStoreUnsubscriber = window.FoxTheme.CartStore.subscribe((cart) => {
       this.cart = cart
-      FoxThemeCartHelpers.updateCartCount(cart.item_count)
       this.classList.toggle('is-empty', cart.item_count === 0);
     });
+    // Optimistic updates work from the cached cart
+    window.FoxTheme.CartStore.load().catch(() => {});
+
+    // Changes made in another tab arrive without section HTML
+    this.remoteUpdateUnsubscriber = window.FoxThemeEvents.subscribe('ON_CART_UPDATED', (cart, change) => {
+      if (change?.remote) this.refreshSections(cart);
+    });
   }
 
   disconnectedCallback() {
     if (this.cartUpdateUnsubscriber) {
       this.cartUpdateUnsubscriber();
     }
+    if (this.cartStoreUnsubscriber) {
+      this.cartStoreUnsubscriber();
+    }
+    if (this.remoteUpdateUnsubscriber) {
+      this.remoteUpdateUnsubscriber();
+    }
   }
 
   initLoading() {
@@ -66,7 +738,7 @@ class CartItems extends HTMLElement {
   }
 
   getSectionsToRender() {
-    return [
+    const sections = [
       {
         id: 'main-cart-items',
         section: document.getElementById('main-cart-items').dataset.id,
@@ -82,49 +754,79 @@ class CartItems extends HTMLElement {
         section: document.getElementById('main-cart-footer').dataset.id,
         selector: '.js-contents',
       },
+      {
+        id: 'main-cart-saved',
+        section: document.getElementById('main-cart-items').dataset.id,
+        selector: '.f-cart-saved',
+      },
     ];
+
+    // The discount block is optional in the cart footer. It is swapped as a
+    // whole so the component picks up the new list of codes.
+    if (document.getElementById('main-cart-discount')) {
+      sections.push({
+        id: 'main-cart-discount',
+        section: document.getElementById('main-cart-footer').dataset.id,
+        selector: '#main-cart-discount',
+      });
+    }
+
+    return sections;
   }
 
   updateQuantity(line, quantity, name) {
-    this.enableLoading();
+    const lineElement = this.querySelector(`#CartItem-${line}, #CartDrawer-Item-${line}`);
+
+    // Taking a main product to 0 (remove, save for later or the stepper) takes its add-ons with it
+    const addonKeys = Number(quantity) === 0 ? this.getLinkedAddonKeys(lineElement?.dataset.cartItem) : [];
+    if (addonKeys.length) {
+      return this.removeItems([lineElement.dataset.cartItem, ...addonKeys]).then((removed) => {
+        const quantityElement = lineElement.querySelector('[name="updates[]"]');
+        if (!removed && quantityElement) quantityElement.value = quantityElement.getAttribute('value');
+        return removed;
+      });
+    }
 
-    const body = JSON.stringify({
-      line,
+    const key = lineElement?.dataset.cartItem;
+    const optimistic = this.applyOptimistic({ [key]: Number(quantity) });
+    optimistic ? this.lineItemStatusElement.setAttribute('aria-hidden', false) : this.enableLoading();
+
+    // Line numbers shift when an earlier change in the queue removes a line, so the
+    // change targets the line's key and the line is looked up by key afterwards
+    const findLine = () => key
+      ? this.querySelector(`.f-cart-item[data-cart-item="${CSS.escape(key)}"]`)
+      : this.querySelector(`#CartItem-${line}, #CartDrawer-Item-${line}`);
+    const lineIndex = (element) => element?.id.match(/\d+$/)?.[0] || line;
+
+    return window.FoxTheme.CartQueue.change({
+      ...(key ? { id: key } : { line }),
       quantity,
       sections: this.getSectionsToRender().map((section) => section.section),
       sections_url: window.location.pathname,
-    });
-
-    fetch(`${FoxThemeSettings.routes.cart_change_url}`, { ...fetchConfig, ...{ body } })
-    .then((response) => {
-      return response.text();
     })
-    .then((state) => {
-      const parsedState = JSON.parse(state);
-      const updatedLine = this.querySelector(`#CartItem-${line}, #CartDrawer-Item-${line}`)
+    .then((parsedState) => {
+      const updatedLine = findLine();
 
-      const quantityElement = updatedLine.querySelector('[name="updates[]"]');
+      const quantityElement = updatedLine?.querySelector('[name="updates[]"]');
       const items = document.querySelectorAll('.f-cart-item');
 
-      if (parsedState.errors) {
-        quantityElement.value = quantityElement.getAttribute('value');
-        this.updateLiveRegions(line, parsedState.errors);
-        return;
+      if (parsedState.errors || parsedState.status) {
+        if (quantityElement) quantityElement.value = quantityElement.getAttribute('value');
+        this.rollbackOptimistic();
+        this.updateLiveRegions(lineIndex(findLine()), parsedState.errors || parsedState.description);
+        return false;
       }
 
       const cartDrawer = document.querySelector('cart-drawer');
-
-      this.classList.toggle('is-empty', parsedState.item_count === 0);
-      const cartFooter = document.getElementById('main-cart-footer');
-
-      if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
-      if (cartDrawer) cartDrawer.classList.toggle('is-empty', parsedState.item_count === 0);
+      this.toggleEmptyState(parsedState.item_count === 0);
 
       this.renderContents(parsedState)
-      const updatedValue = parsedState.items[line - 1] ? parsedState.items[line - 1].quantity : undefined;
+      this.confirmOptimistic(parsedState)
+      const updatedItem = key ? parsedState.items.find((item) => item.key === key) : parsedState.items[line - 1];
+      const updatedValue = updatedItem ? updatedItem.quantity : undefined;
 
       let message = '';
-      if (items.length === parsedState.items.length && updatedValue !== parseInt(quantityElement.value)) {
+      if (quantityElement && items.length === parsedState.items.length && updatedValue !== parseInt(quantityElement.value)) {
         if (typeof updatedValue === 'undefined') {
           message = window.FoxThemeStrings.cartError;
         } else {
@@ -132,9 +834,9 @@ class CartItems extends HTMLElement {
         }
       }
 
-      this.updateLiveRegions(line, message);
+      const lineItem = findLine();
+      this.updateLiveRegions(lineIndex(lineItem), message);
 
-      const lineItem = document.getElementById(`CartItem-${line}`) || document.getElementById(`CartDrawer-Item-${line}`);
       if (lineItem && lineItem.querySelector(`[name="${name}"]`)) {
         cartDrawer
           ? trapFocus(cartDrawer, lineItem.querySelector(`[name="${name}"]`))
@@ -145,17 +847,191 @@ class CartItems extends HTMLElement {
       } else if (document.querySelector('.f-cart-item') && cartDrawer) {
         trapFocus(cartDrawer, document.querySelector('.f-cart-item__name'));
       }
-      window.FoxThemeEvents.emit(`ON_CART_UPDATED`, parsedState)
+      return true;
+    })
+    .catch(() => {
+      this.rollbackOptimistic();
+      const errors = document.querySelector('#cart-errors, #CartDrawer-CartErrors');
+      if (errors) {
+        errors.textContent = window.FoxThemeStrings.cartError;
+      }
+      return false;
+    })
+    .finally(() => {
+      optimistic ? this.settleOptimistic() : this.loading.finish()
+    });
+  }
+
+  // Resolves with whether the lines were removed
+  removeItems(keys) {
+    if (!keys.length) return Promise.resolve(false);
+    const optimistic = this.applyOptimistic(Object.fromEntries(keys.map((key) => [key, 0])));
+    optimistic ? this.lineItemStatusElement.setAttribute('aria-hidden', false) : this.enableLoading();
+
+    return window.FoxTheme.CartQueue.update({
+      updates: Object.fromEntries(keys.map((key) => [key, 0])),
+      sections: this.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname,
+    })
+    .then((parsedState) => {
+      if (parsedState.status) throw new Error(parsedState.description);
+
+      this.toggleEmptyState(parsedState.item_count === 0);
+      this.renderContents(parsedState);
+      this.confirmOptimistic(parsedState);
+      return true;
     })
     .catch(() => {
+      this.rollbackOptimistic();
       const errors = document.querySelector('#cart-errors, #CartDrawer-CartErrors');
       if (errors) {
         errors.textContent = window.FoxThemeStrings.cartError;
       }
+      return false;
     })
     .finally(() => {
-      this.loading.finish()
+      optimistic ? this.settleOptimistic() : this.loading.finish()
+    });
+  }
+
+  // Add-on lines ProductAddon tagged with this line's product (_bundle_main), as
+  // long as no other line of that product stays in the cart
+  getLinkedAddonKeys(key) {
+    const cart = window.FoxTheme.CartStore.get();
+    const line = cart?.items.find((item) => item.key === key);
+    if (!line || cart.items.some((item) => item.key !== key && item.product_id === line.product_id)) return [];
+
+    return cart.items
+      .filter((item) => item.product_id !== line.product_id && String(item.properties?._bundle_main) === String(line.product_id))
+      .map((item) => item.key);
+  }
+
+  // Quantity and remove actions show their result straight away: the line, the
+  // subtotal and (through the cart store) the cart goal. this.optimistic keeps the
+  // last confirmed cart and the markup it replaced until every pending change has
+  // settled, so a refused change can be put back.
+  applyOptimistic(quantities) {
+    const current = window.FoxTheme.CartStore.get();
+    if (!current || !current.items.some((item) => quantities[item.key] !== undefined)) return false;
+
+    if (!this.optimistic) this.optimistic = { cart: current, nodes: new Map(), pending: 0 };
+    this.optimistic.pending++;
+
+    const { money_format } = window.FoxThemeSettings;
+    const next = { ...current, items: [] };
+
+    current.items.forEach((item) => {
+      const quantity = quantities[item.key];
+      if (quantity === undefined || quantity === item.quantity) {
+        next.items.push(item);
+        return;
+      }
+
+      const finalLinePrice    = item.final_price * quantity;
+      const originalLinePrice = item.original_price * quantity;
+      next.item_count           += quantity - item.quantity;
+      next.total_price          += finalLinePrice - item.final_line_price;
+      next.items_subtotal_price += finalLinePrice - item.final_line_price;
+      next.original_total_price += originalLinePrice - item.original_line_price;
+      if (quantity > 0) {
+        next.items.push({ ...item, quantity, final_line_price: finalLinePrice, original_line_price: originalLinePrice, line_price: finalLinePrice });
+      }
+
+      const lineElement = this.querySelector(`.f-cart-item[data-cart-item="${CSS.escape(item.key)}"]`);
+      if (!lineElement) return;
+      if (quantity === 0) {
+        this.saveOptimisticNode(lineElement, 'className');
+        lineElement.classList.add('hidden');
+        return;
+      }
+      lineElement.querySelectorAll('[data-line-price]').forEach((el) => {
+        this.saveOptimisticNode(el, 'textContent');
+        el.textContent = formatMoney(finalLinePrice, money_format);
+      });
+      lineElement.querySelectorAll('[data-line-original-price]').forEach((el) => {
+        this.saveOptimisticNode(el, 'textContent');
+        el.textContent = formatMoney(originalLinePrice, money_format);
+      });
+    });
+
+    // A system header goes with its last visible line
+    this.querySelectorAll('[data-system-header]').forEach((header) => {
+      const lines = Array.from(this.querySelectorAll(`.f-cart-item[data-system-id="${CSS.escape(header.dataset.systemHeader)}"]`));
+      if (lines.every((line) => line.classList.contains('hidden'))) {
+        this.saveOptimisticNode(header, 'className');
+        header.classList.add('hidden');
+      }
+    });
+
+    // So does an add-on subtotal with its main line
+    this.querySelectorAll('[data-addon-group]').forEach((group) => {
+      const line = this.querySelector(`.f-cart-item[data-cart-item="${CSS.escape(group.dataset.addonGroup)}"]`);
+      if (line?.classList.contains('hidden')) {
+        this.saveOptimisticNode(group, 'className');
+        group.classList.add('hidden');
+      }
+    });
+
+    document.querySelectorAll('[data-cart-price]').forEach((el) => {
+      this.saveOptimisticNode(el, 'textContent');
+      el.textContent = this.formatTotal(next.total_price);
+    });
+
+    window.FoxTheme.CartStore.set(next);
+    return true;
+  }
+
+  saveOptimisticNode(node, property) {
+    if (this.optimistic.nodes.has(node)) return;
+    this.optimistic.nodes.set(node, { property, value: node[property] });
+  }
+
+  // The server answered: its markup replaces ours and its cart is the new baseline
+  confirmOptimistic(parsedState) {
+    if (!this.optimistic) return;
+    this.optimistic.cart = parsedState;
+    this.optimistic.nodes.clear();
+  }
+
+  rollbackOptimistic() {
+    if (!this.optimistic) return;
+    this.optimistic.nodes.forEach(({ property, value }, node) => {
+      node[property] = value;
     });
+    this.optimistic.nodes.clear();
+    window.FoxTheme.CartStore.set(this.optimistic.cart);
+  }
+
+  settleOptimistic() {
+    if (!this.optimistic) return;
+    this.optimistic.pending--;
+    if (this.optimistic.pending <= 0) this.optimistic = null;
+  }
+
+  formatTotal(cents) {
+    const { money_format, money_with_currency_format, cart } = window.FoxThemeSettings;
+    return formatMoney(cents, cart.currencyCodeEnabled ? money_with_currency_format : money_format);
+  }
+
+  toggleEmptyState(isEmpty) {
+    const cartDrawer = document.querySelector('cart-drawer');
+    const cartFooter = document.getElementById('main-cart-footer');
+    this.classList.toggle('is-empty', isEmpty);
+    if (cartFooter) cartFooter.classList.toggle('is-empty', isEmpty);
+    if (cartDrawer) cartDrawer.classList.toggle('is-empty', isEmpty);
+  }
+
+  async refreshSections(cart) {
+    const sections = [...new Set(this.getSectionsToRender().map((section) => section.section))];
+    try {
+      const response = await fetch(`${window.location.pathname}?sections=${sections.join(',')}`);
+      if (!response.ok) throw new Error(response.statusText);
+      const parsedSections = await response.json();
+      this.toggleEmptyState(cart.item_count === 0);
+      this.renderContents({ sections: parsedSections });
+    } catch (error) {
+      console.error('[cart] Could not refresh the cart sections:', error);
+    }
   }
 
   renderContents(parsedState) {
@@ -173,6 +1049,7 @@ class CartItems extends HTMLElement {
   updateLiveRegions(line, message) {
     if (!message) return;
     const lineItemError = this.querySelector(`#CartItem-${line}, #CartDrawer-Item-${line}`);
+    if (!lineItemError) return;
 
     window.FoxTheme.Notification.show({
       target: lineItemError.querySelector('.f-cart-item__quantity, .f-cart-drawer__error'),
@@ -0,0 +1,139 @@
+/**
+ * Automatic free gift.
+ *
+ * Adds the gift variant set in the theme settings (FoxThemeSettings.cart.freeGift)
+ * with a `_free_gift` property once the cart qualifies, and takes it out again
+ * when it no longer does. A cart qualifies when its subtotal, without the gift,
+ * reaches the threshold (converted with Shopify.currency.rate like the cart goal),
+ * or, with the "products" condition, when one of the qualifying products is in it.
+ *
+ * It follows the settled carts of the ON_CART_UPDATED flow (see cart-queue.js)
+ * plus the refresh that follows ON_ITEM_ADDED. Its own requests go through the
+ * cart queue as well and carry the open cart views' sections, which are rendered
+ * from the response. Checks are skipped while a request of ours is in flight and
+ * run once more when it's done, against the cart it left, so it can't loop.
+ * Carts changed in another tab are left to that tab.
+ *
+ * If the shopper removes the gift while the cart still qualifies, it is not
+ * added back until the cart has stopped qualifying once.
+ */
+window.FoxTheme = window.FoxTheme || {};
+
+class FreeGift {
+  constructor(config) {
+    this.variantId  = Number(config.variantId);
+    this.condition  = config.condition;
+    this.threshold  = Number(config.threshold || 0) * Number(window.Shopify.currency.rate || 1) * 100;
+    this.productIds = (config.productIds || []).map(Number);
+    this.busy       = false;
+    this.failed     = false;
+    this.hadGift    = null;
+
+    window.FoxThemeEvents.subscribe('ON_CART_UPDATED', (cart, change) => {
+      if (change?.remote) {
+        this.hadGift = cart?.items ? Boolean(this.findGift(cart)) : this.hadGift;
+        return;
+      }
+      if (cart?.items) this.check(cart);
+    });
+    window.FoxThemeEvents.subscribe('ON_ITEM_ADDED', () => {
+      window.FoxTheme.CartStore.refresh()
+        .then((cart) => this.check(cart))
+        .catch(() => {});
+    });
+    window.FoxTheme.CartStore.load()
+      .then((cart) => this.check(cart))
+      .catch(() => {});
+  }
+
+  get declined() {
+    return sessionStorage.getItem('foxtheme-free-gift-declined') === String(this.variantId);
+  }
+
+  set declined(value) {
+    if (value) {
+      sessionStorage.setItem('foxtheme-free-gift-declined', String(this.variantId));
+    } else {
+      sessionStorage.removeItem('foxtheme-free-gift-declined');
+    }
+  }
+
+  findGift(cart) {
+    return cart.items.find((item) => item.properties?._free_gift);
+  }
+
+  qualifies(cart, gift) {
+    const items = cart.items.filter((item) => item !== gift);
+    if (!items.length) return false;
+
+    if (this.condition === 'products') {
+      return items.some((item) => this.productIds.includes(item.product_id));
+    }
+    const subtotal = cart.items_subtotal_price - (gift ? gift.final_line_price : 0);
+    return this.threshold > 0 && subtotal >= this.threshold;
+  }
+
+  async check(cart) {
+    if (this.busy || !cart?.items) return;
+
+    const gift = this.findGift(cart);
+    const qualifies = this.qualifies(cart, gift);
+
+    // The shopper took the gift out themselves
+    if (!gift && this.hadGift && qualifies) this.declined = true;
+    if (!qualifies) this.declined = false;
+    this.hadGift = Boolean(gift);
+
+    if (qualifies && !gift && !this.declined && !this.failed) {
+      await this.request('add', {
+        items: [{ id: this.variantId, quantity: 1, properties: { _free_gift: true } }]
+      }, true);
+    } else if (gift && (!qualifies || gift.quantity !== 1)) {
+      await this.request('change', {
+        id: gift.key,
+        quantity: qualifies ? 1 : 0
+      }, qualifies);
+    }
+  }
+
+  async request(type, body, giftInCart) {
+    const views    = Array.from(document.querySelectorAll('cart-items, cart-drawer-items'));
+    const sections = new Set(views.flatMap((cartItems) => cartItems.getSectionsToRender().map((section) => section.section)));
+    let cart       = null;
+
+    this.busy = true;
+    try {
+      const state = await window.FoxTheme.CartQueue[type]({
+        ...body,
+        sections: [...sections],
+        sections_url: window.location.pathname
+      });
+      if (state.status) {
+        // Sold out or unavailable: don't try again on every cart change
+        this.failed = true;
+        console.error('[free-gift] Cart request failed:', state.description);
+        return;
+      }
+      this.hadGift = giftInCart;
+
+      views.forEach((cartItems) => {
+        if (state.item_count !== undefined) cartItems.toggleEmptyState(state.item_count === 0);
+        cartItems.renderContents(state);
+      });
+      // /cart/change.js answers with the cart; after an add the queue is already
+      // re-fetching it and this shares that request
+      cart = type === 'change' ? state : await window.FoxTheme.CartStore.refresh();
+    } catch (error) {
+      console.error('[free-gift] Cart request failed:', error);
+    } finally {
+      this.busy = false;
+    }
+
+    // Catch up with changes that landed while ours was in flight
+    if (cart) await this.check(cart);
+  }
+}
+
+if (!window.FoxTheme.FreeGift && window.FoxThemeSettings.cart?.freeGift) {
+  window.FoxTheme.FreeGift = new FreeGift(window.FoxThemeSettings.cart.freeGift);
+}
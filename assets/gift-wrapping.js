@@ -25,7 +25,6 @@ class GiftWrappingComponent extends HTMLElement {
 
   updateGiftWrapping(remove = false) {
     this.loadingIcon.classList.add("show")
-    const headers = new Headers({ 'Content-Type': 'application/json', 'Accept': 'application/json' });
 
     const body = !remove ? {
       updates: {
@@ -48,15 +47,8 @@ class GiftWrappingComponent extends HTMLElement {
       body.sections = this.mainCart.getSectionsToRender().map((section) => section.section)
     }
 
-    const request = {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify(body)
-    }
-    fetch(`${window.FoxThemeSettings.routes.cart_update_url}`, request)
-    .then((response) => response.json())
+    window.FoxTheme.CartQueue.update(body)
     .then((cart) => {
-      window.FoxThemeEvents.emit(`ON_CART_UPDATED`, cart)
       if (this.cartDrawer) this.cartDrawer.renderContents(cart)
       if (this.mainCart) this.mainCart.renderContents(cart)
 
@@ -72,15 +64,9 @@ class GiftNoteComponent extends HTMLElement {
 		super()
 
 		this.addEventListener('change', debounce((event) => {
-			const headers = new Headers({ 'Content-Type': 'application/json', 'Accept': 'application/json' });
-			let request = {
-				method: 'POST',
-				headers: headers,
-				body: JSON.stringify({ 
-					attributes: { 'gift-note': event.target.value } 
-				})
-			}
-			fetch(`${window.FoxThemeSettings.routes.cart_update_url}`, request);
+			window.FoxTheme.CartQueue.update({
+				attributes: { 'gift-note': event.target.value }
+			});
 		}, 300))
 	}
 }
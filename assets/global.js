@@ -933,15 +933,7 @@ customElements.define(
       this.addEventListener(
         "change",
         debounce((event) => {
-          const body = JSON.stringify({ note: event.target.value });
-          fetch(`${FoxThemeSettings.routes.cart_update_url}`, {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Accept: `application/json`,
-            },
-            ...{ body },
-          });
+          window.FoxTheme.CartQueue.update({ note: event.target.value });
         }, 300)
       );
       this.collapsible = this.querySelector("collapsible-tab");
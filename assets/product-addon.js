@@ -113,13 +113,8 @@ if (!customElements.get('product-addon')) {
           sections_url: window.location.pathname
         }
         if (this.mainProductId) body.properties = { _bundle_main: this.mainProductId }
-        const res = await fetch('/cart/add.js', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(body)
-        })
-        const item = await res.json()
-        if (!res.ok) throw new Error(item.description)
+        const item = await window.FoxTheme.CartQueue.add(body)
+        if (item.status) throw new Error(item.description)
         this.cartKey = item.key
         this.qty     = 1
         this._setAdded()
@@ -133,11 +128,24 @@ if (!customElements.get('product-addon')) {
     async _changeQty(delta) {
       const newQty = this.qty + delta
       if (newQty < 1) return
-      await this._cartChange(this.cartKey, newQty)
+      // Count ahead of the request so quick clicks build on each other and
+      // collapse into a single queued change
+      const previous = this.qty
       this.qty = newQty
       this._updateAddedRow()
-      const cart = await fetch('/cart.js').then(r => r.json())
-      window.FoxThemeEvents?.emit('ON_CART_UPDATED', cart)
+      try {
+        const state = await this._cartChange(this.cartKey, newQty)
+        if (state.status) throw new Error(state.description || state.message)
+      } catch (e) {
+        console.error('[product-addon] quantity change failed:', e)
+        // A later click owns the count now and rolls back itself if it fails too
+        if (this.qty !== newQty) return
+        // Earlier clicks may have failed as well, so go back to what the cart holds
+        const cart = await window.FoxTheme.CartStore.refresh().catch(() => null)
+        const line = cart?.items.find(item => item.key === this.cartKey)
+        this.qty = line ? line.quantity : previous
+        this._updateAddedRow()
+      }
     }
 
     async _remove() {
@@ -149,8 +157,6 @@ if (!customElements.get('product-addon')) {
         this.qty     = 0
         this.classList.remove('is-added')
         this.addedRow.setAttribute('aria-hidden', 'true')
-        const cart = await fetch('/cart.js').then(r => r.json())
-        window.FoxThemeEvents?.emit('ON_CART_UPDATED', cart)
       } catch (e) {
         console.error('[product-addon] remove failed:', e)
       }
@@ -161,16 +167,10 @@ if (!customElements.get('product-addon')) {
       await this._cartChange(this.cartKey, 0)
       const body = { id: this.selectedVariantId, quantity: this.qty }
       if (this.mainProductId) body.properties = { _bundle_main: this.mainProductId }
-      const res  = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
-      })
-      const item = await res.json()
-      if (res.ok) {
+      const item = await window.FoxTheme.CartQueue.add(body)
+      if (!item.status) {
         this.cartKey = item.key
         this._updateAddedRow()
-        window.FoxThemeEvents?.emit('ON_CART_UPDATED')
       }
     }
 
@@ -198,8 +198,7 @@ if (!customElements.get('product-addon')) {
 
     _watchMainProduct() {
       let mainWasInCart = false
-      window.FoxThemeEvents?.subscribe?.('ON_CART_UPDATED', (cart) => {
-        if (!cart?.items) return
+      window.FoxTheme.CartStore.subscribe((cart) => {
         const mainInCart = cart.items.some(item => item.product_id === this.mainProductId)
         if (mainInCart) {
           mainWasInCart = true
@@ -213,7 +212,7 @@ if (!customElements.get('product-addon')) {
       })
     }
 
-    async _syncCart(addResponse) {
+    _syncCart(addResponse) {
       const cartEl = window.FoxTheme?.Cart
       if (cartEl && addResponse?.sections) {
         cartEl.classList.remove('is-empty')
@@ -225,16 +224,10 @@ if (!customElements.get('product-addon')) {
           if (el && html) el.innerHTML = cartEl.getSectionInnerHTML(html, section.selector)
         })
       }
-      const cart = await fetch('/cart.js').then(r => r.json())
-      window.FoxThemeEvents?.emit('ON_CART_UPDATED', cart)
     }
 
     _cartChange(key, quantity) {
-      return fetch('/cart/change.js', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ id: key, quantity })
-      })
+      return window.FoxTheme.CartQueue.change({ id: key, quantity })
     }
 
     _setAdded() {
@@ -120,11 +120,6 @@ if (!customElements.get('product-bundle')) {
                 last: 3000
               })
             }
-            if (FoxThemeSettings.cart.cartType === 'page') {
-              FoxThemeCartHelpers.getState().then(state => {
-                FoxThemeCartHelpers.updateCartCount(state.item_count)
-              })
-            }
             FoxThemeEvents.emit(`ON_ITEM_ADDED`, res)
           }
         })
@@ -123,11 +123,6 @@ if (!customElements.get('product-form')) {
 							sticky: this.notificationType === 'toast'
 						})
 					}
-					if (FoxThemeSettings.cart.cartType === 'page') {
-						FoxThemeCartHelpers.getState().then(state => {
-							FoxThemeCartHelpers.updateCartCount(state.item_count)
-						})
-					}
 
           this.error = false;
 					window.FoxThemeEvents.emit(`ON_ITEM_ADDED`, response)
@@ -2,23 +2,97 @@
  * System Builder Web Component
  * A multi-step bat system configurator.
  *
- * Flow:
+ * Flow (DEFAULT_STEPS, overridable with a [data-steps] JSON payload):
  *   Sport → Shaft Type → Shaft Size → Shaft product card
  *   After shaft size selected: Balls panel + Pineapples panel appear
  *
  * Product selection is toggle-based. Any selected products go into
- * the summary sidebar and are added to cart together.
+ * the summary sidebar and are added to cart together, after their stock is
+ * re-checked live (sold-out slots are flagged with alternatives instead).
+ *
+ * The current build is mirrored into the page URL so it can be shared;
+ * opening such a link rebuilds the same selection on load. Progress is
+ * also autosaved to localStorage and offered back as "Resume your build".
+ *
+ * Every cart line from one build shares a _system_id property so the cart
+ * can group them and link back here (?edit_system=<id>) to edit the system.
+ *
+ * Funnel events (see track()) fire on FoxThemeEvents as ON_SYSTEM_BUILDER_<NAME>
+ * and bubble from the element as `system-builder:<name>`:
+ *   <step field>-chosen (sport-chosen, shaft-type-chosen, shaft-size-chosen),
+ *   product-toggled, quantity-changed, reset, added-to-cart
+ */
+
+/**
+ * Chip steps in the order the shopper walks through them. Choosing a chip
+ * clears every later step and renders the next one.
+ *
+ *   field     name used by [data-step], [data-chips] and the chips' data-field
+ *   stateKey  key in this.state and in saved builds
+ *   param     query string key for shareable links
+ *   label     wording used in "no longer available" notices
+ *   source    this.data key holding the options ({ handle, name, ... });
+ *             unknown sources are read from [data-step-options="<field>"]
+ *   filter    { key, equals }: keep options whose `key` equals (or, for an
+ *             array, includes) the value chosen for the `equals` state key
+ *   sortBy    numeric option key to sort by
+ *   empty     message shown when no option passes the filter
+ *   products  { key, slot }: option key listing variants, rendered as
+ *             mutually exclusive cards in [data-product="<slot>"]
+ *   unlocks   [data-step] panels shown once this step has a value
+ *
+ * Steps may be renamed, reordered or added freely. The fitting quiz, the
+ * compatibility rules and the shaft slot work with the built-in sports,
+ * shaftTypes and shaftSizes data, so they find their steps by `source`
+ * (see getStepBySource()); keep those three sources when overriding.
  */
+const DEFAULT_STEPS = [
+  {
+    field:    'sport',
+    stateKey: 'sport',
+    param:    'sport',
+    label:    'sport',
+    source:   'sports'
+  },
+  {
+    field:    'shaft-type',
+    stateKey: 'shaftType',
+    param:    'shaft_type',
+    label:    'shaft type',
+    source:   'shaftTypes',
+    filter:   { key: 'sportHandles', equals: 'sport' },
+    sortBy:   'sortOrder',
+    empty:    'No shaft types available for this sport.'
+  },
+  {
+    field:    'shaft-size',
+    stateKey: 'shaftSize',
+    param:    'shaft_size',
+    label:    'shaft size',
+    source:   'shaftSizes',
+    filter:   { key: 'shaftTypeHandle', equals: 'shaftType' },
+    empty:    'No shaft sizes available for this type.',
+    products: { key: 'shafts', slot: 'shaft' },
+    unlocks:  ['balls', 'pineapples']
+  }
+];
+
+// Query string keys used for shareable builds (step keys come from the step config)
+const BUILD_PARAMS = {
+  shaft:       'shaft',
+  accessories: 'accessories'
+};
+
+// Query string key carrying the _system_id of a cart group being edited
+const EDIT_SYSTEM_PARAM = 'edit_system';
+
 class SystemBuilder extends HTMLElement {
   constructor() {
     super();
 
-    // Chip selection state
-    this.state = {
-      sport: null,
-      shaftType: null,
-      shaftSize: null
-    };
+    // Chip steps and their selection state ({ [stateKey]: handle | null }), set up in loadSteps()
+    this.steps = DEFAULT_STEPS;
+    this.state = {};
 
     // Selected products keyed by slot: 'shaft', 'ball-0', 'ball-1', 'pineapple-0', etc.
     // Each value: { id, title, price, image, slotKey }
@@ -28,18 +102,50 @@ class SystemBuilder extends HTMLElement {
     this.data = {
       sports: [],
       shaftTypes: [],
-      shaftSizes: []
+      shaftSizes: [],
+      compatibility: [],
+      bundleTiers: [],
+      stepLabels: []
     };
+
+    // Accessories dropped by the last compatibility check: [{ title, reason }]
+    this.compatibilityRemovals = [];
+
+    // Latest fitting quiz result: { sport, shaftType, shaftSize, reasons }
+    this.recommendation = null;
+
+    // Set while editing a system from the cart: { systemId, lineKeys, extraLines }
+    this.editing = null;
   }
 
 
   connectedCallback() {
+    this.loadSteps();
     this.loadData();
     // Cache the original step titles so we can restore them on reset
-    this.defaultShaftTypeTitle = this.querySelector('[data-step="shaft-type"] .system-builder__step-title')?.textContent?.trim() || '';
-    this.defaultShaftSizeTitle = this.querySelector('[data-step="shaft-size"] .system-builder__step-title')?.textContent?.trim() || '';
+    this.defaultStepTitles = {};
+    this.steps.forEach(step => {
+      this.defaultStepTitles[step.field] = this.getStepTitleEl(step.field)?.textContent?.trim() || '';
+    });
     this.bindEvents();
+    // Editing a cart system wins over a shared link, which wins over a locally saved build
+    const editSystemId = new URLSearchParams(window.location.search).get(EDIT_SYSTEM_PARAM);
+    let restored = false;
+    if (editSystemId) {
+      // Set before the cart loads so the first autosave can't touch the saved build
+      this.editing = { systemId: editSystemId, lineKeys: [], extraLines: [] };
+      this.loadSystemFromCart(editSystemId);
+      restored = true;
+    } else {
+      restored = this.restoreFromUrl();
+    }
+    if (!restored) this.offerResume();
+    if (!restored && !this.pendingResume && this.querySelector('[data-quiz]')?.dataset.startOpen === 'true') {
+      this.openQuiz();
+    }
     this.updateSummary();
+    // Merchandisers only: surface broken metaobject data while editing the theme
+    if (window.FoxThemeSettings?.designMode) this.renderDiagnostics(this.validateData());
   }
 
 
@@ -47,18 +153,71 @@ class SystemBuilder extends HTMLElement {
   // Data loading
   // ---------------------------------------------------------------------------
 
+  loadSteps() {
+    const stepsEl = this.querySelector('[data-steps]');
+    if (stepsEl) {
+      try {
+        const steps = JSON.parse(stepsEl.textContent);
+        if (Array.isArray(steps) && steps.length > 0) this.steps = steps;
+      } catch (e) {
+        console.error('[SB] Error parsing step config, using the default steps:', e);
+      }
+    }
+
+    this.state = {};
+    this.steps.forEach(step => { this.state[step.stateKey] = null; });
+  }
+
+
+  getStepBySource(source) {
+    return this.steps.find(step => step.source === source) || null;
+  }
+
+
+  getStepValue(source) {
+    const step = this.getStepBySource(source);
+    return step ? this.state[step.stateKey] : null;
+  }
+
+
+  // The step whose options list the main product (the shaft) and the slot it fills
+  getProductStep() {
+    return this.steps.find(step => step.products) || null;
+  }
+
+
+  get productSlot() {
+    return this.getProductStep()?.products.slot || 'shaft';
+  }
+
+
   loadData() {
     try {
       const sportsEl     = this.querySelector('[data-sports]');
       const shaftTypesEl = this.querySelector('[data-shaft-types]');
       const shaftSizesEl = this.querySelector('[data-shaft-sizes]');
 
-      const sportLabelsEl  = this.querySelector('[data-sport-labels]');
+      const stepLabelsEl    = this.querySelector('[data-step-labels]');
+      const compatibilityEl = this.querySelector('[data-compatibility]');
+      const bundleTiersEl   = this.querySelector('[data-bundle-tiers]');
 
       this.data.sports      = sportsEl      ? JSON.parse(sportsEl.textContent)      : [];
       this.data.shaftTypes  = shaftTypesEl  ? JSON.parse(shaftTypesEl.textContent)  : [];
       this.data.shaftSizes  = shaftSizesEl  ? JSON.parse(shaftSizesEl.textContent)  : [];
-      this.data.sportLabels = sportLabelsEl ? JSON.parse(sportLabelsEl.textContent) : [];
+      this.data.stepLabels  = stepLabelsEl  ? JSON.parse(stepLabelsEl.textContent)  : [];
+      this.data.compatibility = compatibilityEl ? JSON.parse(compatibilityEl.textContent) : [];
+      this.data.bundleTiers   = bundleTiersEl   ? JSON.parse(bundleTiersEl.textContent)   : [];
+      // Without a discount code checkout charges full price, so such a tier can't promise savings
+      this.data.bundleTiers = this.data.bundleTiers.filter(t => t.discountCode);
+      // Lowest discount first so the "next tier" is always the following entry
+      this.data.bundleTiers.sort((a, b) => (a.discountPercent || 0) - (b.discountPercent || 0));
+
+      // Options for extra configured steps (e.g. grips) come from their own payload
+      this.steps.forEach(step => {
+        if (this.data[step.source]) return;
+        const optionsEl = this.querySelector(`[data-step-options="${step.field}"]`);
+        this.data[step.source] = optionsEl ? JSON.parse(optionsEl.textContent) : [];
+      });
 
       // Debug: inspect the loaded data
       console.log('[SB] sports:', this.data.sports);
@@ -66,12 +225,111 @@ class SystemBuilder extends HTMLElement {
       console.log('[SB] shaftSizes:', this.data.shaftSizes);
     } catch (e) {
       console.error('[SB] Error parsing data:', e);
+      this.dataError = e.message;
       const shaftSizesEl = this.querySelector('[data-shaft-sizes]');
       if (shaftSizesEl) console.log('[SB] Raw shaft-sizes JSON:', shaftSizesEl.textContent);
     }
   }
 
 
+  // ---------------------------------------------------------------------------
+  // Diagnostics (theme editor only)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Checks the embedded payloads against the step config and returns
+   * [{ title, items }] groups of problems: unreadable JSON, duplicate handles,
+   * options whose parent is missing (e.g. orphaned shaft types), first-step
+   * options nothing hangs off, options without products (sizes without
+   * shafts), and step label overrides that are missing or point nowhere.
+   */
+  validateData() {
+    const groups = [];
+    const add    = (title, items) => { if (items.length > 0) groups.push({ title, items }); };
+    const plural = label => `${label}${label.endsWith('s') ? 'es' : 's'}`;
+    const title  = text => text.charAt(0).toUpperCase() + text.slice(1);
+    const nameOf = option => option.name ? `${option.name} (${option.handle || 'no handle'})` : option.handle || `#${option.id}`;
+
+    if (this.dataError) add('Unreadable data', [`The embedded JSON could not be parsed: ${this.dataError}`]);
+
+    this.steps.forEach((step, i) => {
+      const label   = step.label || step.field;
+      const options = this.data[step.source] || [];
+
+      const seen       = new Set();
+      const duplicates = new Set();
+      options.forEach(o => (seen.has(o.handle) ? duplicates : seen).add(o.handle));
+      add(`Duplicate ${label} handles`, [...duplicates].map(handle => `"${handle}" is used more than once`));
+
+      if (step.filter) {
+        const parent  = this.steps.find(s => s.stateKey === step.filter.equals);
+        const handles = (this.data[parent?.source] || []).map(o => o.handle);
+        add(`Orphaned ${plural(label)}`, options
+          .filter(o => {
+            const refs = [].concat(o[step.filter.key] ?? []).filter(Boolean);
+            return !refs.some(ref => handles.includes(ref));
+          })
+          .map(o => `${nameOf(o)} is not linked to any existing ${parent?.label || 'parent'}`));
+      }
+
+      const next = this.steps[i + 1];
+      if (i === 0 && next?.filter) {
+        add(title(`${plural(label)} without ${plural(next.label || next.field)}`), options
+          .filter(o => !(this.data[next.source] || []).some(child => [].concat(child[next.filter.key] ?? []).includes(o.handle)))
+          .map(o => `${nameOf(o)} has nothing to choose in the next step`));
+      }
+
+      if (step.products) {
+        add(title(`${plural(label)} without ${step.products.key}`), options
+          .filter(o => !Array.isArray(o[step.products.key]) || o[step.products.key].length === 0)
+          .map(o => `${nameOf(o)} has no ${step.products.key} assigned`));
+      }
+    });
+
+    const firstStep  = this.steps[0];
+    const allHandles = this.steps.flatMap(step => (this.data[step.source] || []).map(o => o.handle));
+    add(title(`${plural(firstStep.label || firstStep.field)} without label overrides`), (this.data[firstStep.source] || [])
+      .filter(o => !this.data.stepLabels.some(l => l.option === o.handle))
+      .map(o => `${nameOf(o)} uses the default step titles`));
+    add('Label overrides for unknown options', this.data.stepLabels
+      .filter(l => !allHandles.includes(l.option))
+      .map(l => `"${l.option}" (${l.step}) doesn't match any option handle`));
+
+    return groups;
+  }
+
+
+  renderDiagnostics(groups) {
+    this.querySelector('[data-diagnostics]')?.remove();
+
+    const count = groups.reduce((sum, g) => sum + g.items.length, 0);
+    const panel = document.createElement('div');
+    panel.className = 'system-builder__diagnostics';
+    panel.dataset.diagnostics = '';
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-label', 'System Builder data check');
+    panel.innerHTML = `
+      <div class="system-builder__diagnostics-header">
+        <strong>System Builder data check</strong>
+        <button type="button" class="system-builder__diagnostics-close" data-diagnostics-close aria-label="Close">&times;</button>
+      </div>
+      <p class="system-builder__diagnostics-intro">
+        ${count === 0
+          ? 'No problems found in the sport, shaft type and shaft size metaobjects.'
+          : `${count} problem${count === 1 ? '' : 's'} found in the metaobject data.`}
+        Only visible in the theme editor.
+      </p>
+      ${groups.map(group => `
+        <details class="system-builder__diagnostics-group" open>
+          <summary>${this.escHtml(group.title)} (${group.items.length})</summary>
+          <ul>${group.items.map(item => `<li>${this.escHtml(item)}</li>`).join('')}</ul>
+        </details>
+      `).join('')}
+    `;
+    this.prepend(panel);
+  }
+
+
   // ---------------------------------------------------------------------------
   // Event binding
   // ---------------------------------------------------------------------------
@@ -87,17 +345,68 @@ class SystemBuilder extends HTMLElement {
       const qtyBtn = e.target.closest('[data-qty-change]');
       if (qtyBtn) return this.handleQtyChange(qtyBtn);
 
+      const swapBtn = e.target.closest('[data-swap-variant]');
+      if (swapBtn) return this.handleSwapVariant(swapBtn);
+
+      const compareToggle = e.target.closest('[data-compare-toggle]');
+      if (compareToggle) return this.toggleCompare(compareToggle);
+
+      const compareSelect = e.target.closest('[data-compare-select]');
+      if (compareSelect) return this.handleCompareSelect(compareSelect);
+
+      const variantPill = e.target.closest('[data-variant-pill]');
+      if (variantPill) return this.handleVariantPill(variantPill);
+
+      // Option pickers sit inside the card; using them must not toggle it
+      if (e.target.closest('[data-variant-picker]')) return;
+
       const productCard = e.target.closest('[data-product-card]');
       if (productCard) return this.handleProductCardClick(productCard);
 
       const addToCartBtn = e.target.closest('[data-add-to-cart]');
       if (addToCartBtn) return this.handleAddToCart(addToCartBtn);
+
+      const copyLinkBtn = e.target.closest('[data-copy-link]');
+      if (copyLinkBtn) return this.handleCopyLink(copyLinkBtn);
+
+      if (e.target.closest('[data-print-summary]')) return this.handlePrintSummary();
+      if (e.target.closest('[data-email-open]')) return this.toggleEmailPanel(true);
+      if (e.target.closest('[data-email-cancel]')) return this.toggleEmailPanel(false);
+
+      if (e.target.closest('[data-diagnostics-close]')) return this.querySelector('[data-diagnostics]')?.remove();
+
+      if (e.target.closest('[data-resume-build]')) return this.handleResume();
+      if (e.target.closest('[data-start-fresh]')) return this.handleStartFresh();
+
+      if (e.target.closest('[data-quiz-open]')) return this.openQuiz();
+      if (e.target.closest('[data-quiz-close]')) return this.closeQuiz();
+      if (e.target.closest('[data-quiz-apply]')) return this.applyRecommendation();
+      if (e.target.closest('[data-quiz-edit]')) return this.openQuiz();
+    });
+
+    this.addEventListener('submit', (e) => {
+      const emailForm = e.target.closest('[data-email-panel] form');
+      if (emailForm) {
+        e.preventDefault();
+        this.handleEmailSubmit(emailForm);
+        return;
+      }
+
+      const quizForm = e.target.closest('[data-quiz-form]');
+      if (!quizForm) return;
+      e.preventDefault();
+      this.handleQuizSubmit(quizForm);
+    });
+
+    this.addEventListener('change', (e) => {
+      const optionSelect = e.target.closest('[data-variant-option]');
+      if (optionSelect) this.handleVariantOptionChange(optionSelect);
     });
 
     this.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' || e.key === ' ') {
         const productCard = e.target.closest('[data-product-card]');
-        if (productCard) {
+        if (productCard && !e.target.closest('[data-variant-picker]')) {
           e.preventDefault();
           this.handleProductCardClick(productCard);
         }
@@ -111,8 +420,11 @@ class SystemBuilder extends HTMLElement {
   // ---------------------------------------------------------------------------
 
   handleChipClick(chip) {
-    const field = chip.dataset.field;
-    const value = chip.dataset.value;
+    const field     = chip.dataset.field;
+    const value     = chip.dataset.value;
+    const stepIndex = this.steps.findIndex(step => step.field === field);
+    const step      = this.steps[stepIndex];
+    if (!step) return;
 
     // Update active chip visuals within this chips container
     const container = chip.closest('[data-chips]');
@@ -125,39 +437,40 @@ class SystemBuilder extends HTMLElement {
       chip.setAttribute('aria-pressed', 'true');
     }
 
-    switch (field) {
-      case 'sport':
-        this.state.sport     = value;
-        this.state.shaftType = null;
-        this.state.shaftSize = null;
-        // Clear anything downstream
-        delete this.selectedProducts.shaft;
-        this.updateStepTitles(value);
-        this.renderShaftTypes();
-        this.hideStep('shaft-size');
-        this.clearShaftSizeChips();
-        this.hideShaftProduct();
-        this.hideAccessoryPanels();
-        break;
-
-      case 'shaft-type':
-        this.state.shaftType = value;
-        this.state.shaftSize = null;
-        delete this.selectedProducts.shaft;
-        this.renderShaftSizes();
-        this.hideShaftProduct();
-        this.hideAccessoryPanels();
-        break;
-
-      case 'shaft-size':
-        this.state.shaftSize = value;
-        this.renderShaftProduct();
-        // Accessories appear as soon as a shaft size is chosen
-        this.showAccessoryPanels();
-        break;
-    }
+    this.state[step.stateKey] = value;
+    // Clear anything downstream, then open the next step
+    this.resetStepsAfter(stepIndex);
+    this.updateStepTitles();
+
+    const nextStep = this.steps[stepIndex + 1];
+    if (nextStep) this.renderStepChips(nextStep);
+    if (step.products) this.renderStepProducts(step);
+    // Accessories appear as soon as the unlocking step (shaft size) is chosen
+    if (step.unlocks) this.showPanels(step.unlocks);
 
+    this.applyCompatibility();
     this.updateSummary();
+    this.track(`${step.field}-chosen`, { step: step.field, stepIndex, value });
+  }
+
+
+  /**
+   * Clears every step after `index` and the products of `index` itself. The
+   * step right after `index` is left visible because it is re-rendered next.
+   */
+  resetStepsAfter(index) {
+    this.steps.forEach((step, i) => {
+      if (i < index) return;
+      if (step.products) this.hideStepProducts(step);
+      if (i === index) return;
+
+      this.state[step.stateKey] = null;
+      if (step.unlocks) this.hidePanels(step.unlocks);
+      if (i > index + 1) {
+        this.hideStep(step.field);
+        this.clearStepChips(step.field);
+      }
+    });
   }
 
 
@@ -165,83 +478,77 @@ class SystemBuilder extends HTMLElement {
   // Step rendering helpers
   // ---------------------------------------------------------------------------
 
-  renderShaftTypes() {
-    const step      = this.querySelector('[data-step="shaft-type"]');
-    const container = this.querySelector('[data-chips="shaft-type"]');
-    if (!container) return;
-
-    const filtered = this.data.shaftTypes
-      .filter(st => Array.isArray(st.sportHandles) && st.sportHandles.includes(this.state.sport))
-      .sort((a, b) => (a.sortOrder ?? 999) - (b.sortOrder ?? 999));
-    container.innerHTML = '';
+  getStepOptions(step) {
+    const { filter, sortBy } = step;
+    let options = this.data[step.source] || [];
 
-    if (filtered.length === 0) {
-      container.innerHTML = '<p class="system-builder__empty-message">No shaft types available for this sport.</p>';
-    } else {
-      filtered.forEach(st => container.appendChild(this.createChip(st.handle, st.name, 'shaft-type')));
+    if (filter) {
+      const selected = this.state[filter.equals];
+      options = options.filter(option => {
+        const value = option[filter.key];
+        return Array.isArray(value) ? value.includes(selected) : value === selected;
+      });
+    }
+    if (sortBy) {
+      options = [...options].sort((a, b) => (a[sortBy] ?? 999) - (b[sortBy] ?? 999));
     }
 
-    if (step) step.hidden = false;
+    return options;
   }
 
 
-  renderShaftSizes() {
-    const step      = this.querySelector('[data-step="shaft-size"]');
-    const container = this.querySelector('[data-chips="shaft-size"]');
+  renderStepChips(step) {
+    const stepEl    = this.querySelector(`[data-step="${step.field}"]`);
+    const container = this.querySelector(`[data-chips="${step.field}"]`);
     if (!container) return;
 
-    console.log('[SB] renderShaftSizes: looking for shaftTypeHandle ===', this.state.shaftType);
-    console.log('[SB] all shaftSizes handles:', this.data.shaftSizes.map(ss => ({ name: ss.name, shaftTypeHandle: ss.shaftTypeHandle })));
-    const filtered = this.data.shaftSizes.filter(ss => ss.shaftTypeHandle === this.state.shaftType);
-    console.log('[SB] filtered shaft sizes:', filtered);
+    const options = this.getStepOptions(step);
     container.innerHTML = '';
 
-    if (filtered.length === 0) {
-      container.innerHTML = '<p class="system-builder__empty-message">No shaft sizes available for this type.</p>';
+    if (options.length === 0) {
+      container.innerHTML = `<p class="system-builder__empty-message">${this.escHtml(step.empty || 'No options available.')}</p>`;
     } else {
-      filtered.forEach(ss => container.appendChild(this.createChip(ss.handle, ss.name, 'shaft-size')));
+      options.forEach(option => container.appendChild(this.createChip(option.handle, option.name, step.field)));
+      this.markRecommendedChip(container, this.getRecommendedValue(step));
     }
 
-    if (step) step.hidden = false;
+    this.updateRecommendationNote();
+    if (stepEl) stepEl.hidden = false;
   }
 
 
-  renderShaftProduct() {
-    const sizeData = this.data.shaftSizes.find(ss => ss.handle === this.state.shaftSize);
-    const display  = this.querySelector('[data-product="shaft"]');
+  renderStepProducts(step) {
+    const { key, slot } = step.products;
+    const option  = (this.data[step.source] || []).find(o => o.handle === this.state[step.stateKey]);
+    const display = this.querySelector(`[data-product="${slot}"]`);
     if (!display) return;
 
-    console.log('[SB] renderShaftProduct: shaftSize =', this.state.shaftSize, '| sizeData =', sizeData);
-
-    if (!sizeData || !sizeData.shafts || sizeData.shafts.length === 0) {
-      console.warn('[SB] No shafts array found for this size — check Liquid JSON output');
-      this.hideShaftProduct();
+    if (!option || !option[key] || option[key].length === 0) {
+      console.warn(`[SB] No ${key} array found for ${step.field} "${this.state[step.stateKey]}" — check Liquid JSON output`);
+      this.hideStepProducts(step);
       return;
     }
 
-    // Clear shaft selection when a new size is chosen
-    delete this.selectedProducts.shaft;
+    // Clear the slot's selection when a new option is chosen
+    delete this.selectedProducts[slot];
 
-    const currentShaftId = this.selectedProducts.shaft?.id;
-
-    const cardsHtml = sizeData.shafts.map(v => {
+    const cardsHtml = option[key].map(v => {
       const imageUrl     = v.image ? this.getImageUrl(v.image, 200) : '';
       const price        = this.formatMoney(v.price);
-      const displayTitle = v.productTitle
-        ? (v.title && v.title !== 'Default Title' ? `${v.productTitle} - ${v.title}` : v.productTitle)
-        : v.title || 'Product';
-      const isSelected = currentShaftId === v.id;
+      const displayTitle = this.getVariantDisplayTitle(v);
 
       return `
-        <div class="system-builder__product-card${isSelected ? ' system-builder__product-card--selected' : ''}"
+        <div class="system-builder__product-card"
              data-product-card
-             data-product-type="shaft"
+             data-product-type="${this.escAttr(slot)}"
+             data-product-handle="${this.escAttr(v.productHandle || '')}"
+             data-preview-layer="${this.escAttr(v.previewLayer || '')}"
              data-price="${v.price}"
              data-image="${this.escAttr(imageUrl)}"
              role="button"
              tabindex="0"
-             aria-pressed="${isSelected}"
-             aria-label="${isSelected ? 'Remove from' : 'Add to'} your system: ${this.escAttr(displayTitle)}">
+             aria-pressed="false"
+             aria-label="Add to your system: ${this.escAttr(displayTitle)}">
           <div class="system-builder__product-select-indicator">
             <span class="system-builder__checkmark"></span>
           </div>
@@ -261,23 +568,344 @@ class SystemBuilder extends HTMLElement {
       `;
     }).join('');
 
-    display.innerHTML = `<div class="system-builder__product-grid">${cardsHtml}</div>`;
+    display.innerHTML = `${this.renderCompare(option[key], slot)}<div class="system-builder__product-grid">${cardsHtml}</div>`;
     display.hidden = false;
   }
 
 
-  updateStepTitles(sportHandle) {
-    const labelData = this.data.sportLabels?.find(l => l.sportHandle === sportHandle);
+  getVariantDisplayTitle(v) {
+    return v.productTitle
+      ? (v.title && v.title !== 'Default Title' ? `${v.productTitle} - ${v.title}` : v.productTitle)
+      : v.title || 'Product';
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // Shaft comparison
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Side-by-side table of the step's variants and their metafield specs.
+   * Only offered when at least two variants carry specs; rows list every spec
+   * label any of them has, in payload order.
+   */
+  renderCompare(variants, slot) {
+    if (this.dataset.compare !== 'true') return '';
+    if (variants.filter(v => v.specs?.length > 0).length < 2) return '';
+
+    const labels = [];
+    variants.forEach(v => (v.specs || []).forEach(spec => {
+      if (!labels.includes(spec.label)) labels.push(spec.label);
+    }));
+    const specValue = (v, label) => v.specs?.find(spec => spec.label === label)?.value;
+
+    return `
+      <button type="button"
+              class="system-builder__compare-toggle"
+              data-compare-toggle
+              data-label="Compare ${this.escAttr(slot)}s"
+              aria-expanded="false">Compare ${this.escHtml(slot)}s</button>
+      <div class="system-builder__compare" data-compare hidden>
+        <table class="system-builder__compare-table">
+          <thead>
+            <tr>
+              <th scope="col"><span class="visually-hidden">Spec</span></th>
+              ${variants.map(v => `<th scope="col">${this.escHtml(this.getVariantDisplayTitle(v))}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <th scope="row">Price</th>
+              ${variants.map(v => `<td>${this.formatMoney(v.price)}</td>`).join('')}
+            </tr>
+            ${labels.map(label => `
+              <tr>
+                <th scope="row">${this.escHtml(label)}</th>
+                ${variants.map(v => `<td>${this.escHtml(specValue(v, label) || '—')}</td>`).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td></td>
+              ${variants.map(v => `
+                <td>
+                  <button type="button"
+                          class="system-builder__compare-select"
+                          data-compare-select="${v.id}"
+                          data-slot-key="${this.escAttr(slot)}"
+                          aria-pressed="false">Select</button>
+                </td>
+              `).join('')}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    `;
+  }
+
+
+  toggleCompare(button) {
+    const compare = button.parentElement.querySelector('[data-compare]');
+    if (!compare) return;
+    const open = compare.hidden;
+    compare.hidden = !open;
+    button.setAttribute('aria-expanded', open ? 'true' : 'false');
+    button.textContent = open ? 'Hide comparison' : button.dataset.label;
+  }
+
+
+  handleCompareSelect(button) {
+    const card = this.findProductCard(parseInt(button.dataset.compareSelect, 10), button.dataset.slotKey);
+    if (card) this.handleProductCardClick(card);
+  }
+
+
+  syncCompareSelection(slot) {
+    const selectedId = this.selectedProducts[slot]?.id;
+    this.querySelectorAll(`[data-compare-select][data-slot-key="${slot}"]`).forEach(button => {
+      const active = parseInt(button.dataset.compareSelect, 10) === selectedId;
+      button.classList.toggle('system-builder__compare-select--selected', active);
+      button.setAttribute('aria-pressed', active ? 'true' : 'false');
+      button.textContent = active ? 'Selected' : 'Select';
+    });
+  }
+
+
+  getStepTitleEl(field) {
+    return this.querySelector(`[data-step="${field}"] .system-builder__step-title`);
+  }
+
+
+  /**
+   * Step labels retitle a step while a given option is chosen anywhere in the
+   * flow (e.g. "Select Bat Size" once "baseball" is picked). When several
+   * match, the one keyed to the latest step wins.
+   */
+  updateStepTitles() {
+    const chosen = this.steps.map(step => this.state[step.stateKey]).filter(Boolean);
+
+    this.steps.forEach(step => {
+      const titleEl = this.getStepTitleEl(step.field);
+      if (!titleEl) return;
+
+      let title = this.defaultStepTitles[step.field];
+      chosen.forEach(value => {
+        const label = this.data.stepLabels.find(l => l.option === value && l.step === step.field && l.title);
+        if (label) title = label.title;
+      });
+      titleEl.textContent = title;
+    });
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // Fitting quiz
+  // ---------------------------------------------------------------------------
+
+  openQuiz() {
+    const quiz = this.querySelector('[data-quiz]');
+    if (!quiz) return;
+
+    const form   = quiz.querySelector('[data-quiz-form]');
+    const result = quiz.querySelector('[data-quiz-result]');
+    const cta    = this.querySelector('[data-quiz-cta]');
+    if (form)   form.hidden   = false;
+    if (result) result.hidden = true;
+    if (cta)    cta.hidden    = true;
+
+    // Pre-fill the sport from the builder if one is already picked
+    const sportSelect = form?.querySelector('[name="sport"]');
+    const sport       = this.getStepValue('sports');
+    if (sportSelect && !sportSelect.value && sport) sportSelect.value = sport;
+
+    quiz.hidden = false;
+    quiz.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+
+  closeQuiz() {
+    const quiz = this.querySelector('[data-quiz]');
+    const cta  = this.querySelector('[data-quiz-cta]');
+    if (quiz) quiz.hidden = true;
+    if (cta)  cta.hidden  = false;
+  }
+
+
+  handleQuizSubmit(form) {
+    const errorEl = form.querySelector('[data-quiz-error]');
+    const answers = {
+      sport:      form.elements.sport?.value || '',
+      height:     parseInt(form.elements.height?.value, 10) || null,
+      ageGroup:   form.elements.age_group?.value || '',
+      swingSpeed: parseInt(form.elements.swing_speed?.value, 10) || null
+    };
+
+    if (!answers.sport || !answers.height || !answers.ageGroup) {
+      if (errorEl) {
+        errorEl.textContent = 'Please choose a sport, height and age group.';
+        errorEl.hidden = false;
+      }
+      return;
+    }
+    if (errorEl) errorEl.hidden = true;
+
+    this.recommendation = this.recommendShaft(answers);
+    this.renderQuizResult(form);
+  }
+
+
+  /**
+   * Scores every shaft size offered for the chosen sport against the fitting
+   * fields of the shaft_size metaobject. Height weighs most; sizes without
+   * fitting data never win over sizes that have it.
+   */
+  recommendShaft(answers) {
+    const shaftTypes = this.data.shaftTypes
+      .filter(st => Array.isArray(st.sportHandles) && st.sportHandles.includes(answers.sport));
+    const typeOrder  = handle => shaftTypes.find(st => st.handle === handle)?.sortOrder ?? 999;
+
+    const candidates = this.data.shaftSizes.filter(ss =>
+      shaftTypes.some(st => st.handle === ss.shaftTypeHandle) && Array.isArray(ss.shafts) && ss.shafts.length > 0
+    );
+
+    let best = null;
+    candidates.forEach(ss => {
+      const fit     = ss.fitting || {};
+      const reasons = [];
+      let score     = 0;
+
+      if (fit.minHeight != null || fit.maxHeight != null) {
+        const min = fit.minHeight ?? 0;
+        const max = fit.maxHeight ?? Infinity;
+        if (answers.height >= min && answers.height <= max) {
+          score += 3;
+          reasons.push(`Fits players ${this.formatHeightRange(fit.minHeight, fit.maxHeight)}`);
+        } else {
+          // Prefer the closest size when nothing fits exactly
+          score -= Math.min(Math.abs(answers.height - min), Math.abs(answers.height - max)) / 12;
+        }
+      }
+
+      if (Array.isArray(fit.ageGroups) && fit.ageGroups.length > 0) {
+        const ageGroups = fit.ageGroups.map(g => String(g).trim().toLowerCase());
+        if (ageGroups.includes(answers.ageGroup.trim().toLowerCase())) {
+          score += 2;
+          reasons.push(`Made for the ${answers.ageGroup} age group`);
+        }
+      }
+
+      if (answers.swingSpeed && (fit.minSwingSpeed != null || fit.maxSwingSpeed != null)) {
+        const min = fit.minSwingSpeed ?? 0;
+        const max = fit.maxSwingSpeed ?? Infinity;
+        if (answers.swingSpeed >= min && answers.swingSpeed <= max) {
+          score += 2;
+          reasons.push(`Suits swing speeds of ${fit.maxSwingSpeed == null ? `${min}+` : `${min}–${max}`} mph`);
+        }
+      }
+
+      if (reasons.length === 0) return;
+
+      const better = !best
+        || score > best.score
+        || (score === best.score && typeOrder(ss.shaftTypeHandle) < typeOrder(best.shaftType));
+      if (better) {
+        best = { sport: answers.sport, shaftType: ss.shaftTypeHandle, shaftSize: ss.handle, score, reasons };
+      }
+    });
+
+    return best;
+  }
+
+
+  renderQuizResult(form) {
+    const result = this.querySelector('[data-quiz-result]');
+    if (!result) return;
+
+    const rec = this.recommendation;
+    if (!rec) {
+      result.innerHTML = `
+        <p class="system-builder__empty-message">We couldn't find a clear match for those answers. Pick a shaft below or contact us for a fitting.</p>
+        <div class="system-builder__quiz-actions">
+          <button type="button" class="system-builder__chip" data-quiz-edit>Change answers</button>
+          <button type="button" class="system-builder__resume-dismiss" data-quiz-close>Build myself</button>
+        </div>
+      `;
+    } else {
+      const typeName = this.data.shaftTypes.find(st => st.handle === rec.shaftType)?.name || rec.shaftType;
+      const sizeName = this.data.shaftSizes.find(ss => ss.handle === rec.shaftSize)?.name || rec.shaftSize;
+      result.innerHTML = `
+        <h4 class="system-builder__quiz-result-title">We recommend: ${this.escHtml(typeName)} — ${this.escHtml(sizeName)}</h4>
+        <ul class="system-builder__quiz-reasons">
+          ${rec.reasons.map(r => `<li>${this.escHtml(r)}</li>`).join('')}
+        </ul>
+        <div class="system-builder__quiz-actions">
+          <button type="button" class="system-builder__add-to-cart button button--primary" data-quiz-apply>Use this setup</button>
+          <button type="button" class="system-builder__resume-dismiss" data-quiz-edit>Change answers</button>
+        </div>
+      `;
+    }
+
+    form.hidden   = true;
+    result.hidden = false;
+  }
 
-    const shaftTypeTitleEl = this.querySelector('[data-step="shaft-type"] .system-builder__step-title');
-    const shaftSizeTitleEl = this.querySelector('[data-step="shaft-size"] .system-builder__step-title');
 
-    if (shaftTypeTitleEl) {
-      shaftTypeTitleEl.textContent = labelData?.shaftTypeTitle || this.defaultShaftTypeTitle;
+  applyRecommendation() {
+    const rec = this.recommendation;
+    if (!rec) return;
+
+    this.closeQuiz();
+    let lastStep = null;
+    for (const step of this.steps) {
+      const value = this.getRecommendedValue(step);
+      if (value == null) continue;
+      if (!this.selectChip(step.field, value)) break;
+      lastStep = step;
     }
-    if (shaftSizeTitleEl) {
-      shaftSizeTitleEl.textContent = labelData?.shaftSizeTitle || this.defaultShaftSizeTitle;
+
+    if (lastStep) this.querySelector(`[data-step="${lastStep.field}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+
+  // The quiz picks from the built-in data, so its answers are matched to steps by source
+  getRecommendedValue(step) {
+    const rec = this.recommendation;
+    if (!rec) return null;
+    return { sports: rec.sport, shaftTypes: rec.shaftType, shaftSizes: rec.shaftSize }[step.source] ?? null;
+  }
+
+
+  markRecommendedChip(container, value) {
+    if (!value || this.recommendation?.sport !== this.getStepValue('sports')) return;
+    const chip = container.querySelector(`[data-chip][data-value="${CSS.escape(value)}"]`);
+    if (!chip) return;
+    chip.classList.add('system-builder__chip--recommended');
+    chip.insertAdjacentHTML('beforeend', '<span class="system-builder__chip-badge">Recommended</span>');
+  }
+
+
+  updateRecommendationNote() {
+    const note = this.querySelector('[data-recommendation-note]');
+    if (!note) return;
+
+    const rec = this.recommendation;
+    if (!rec || rec.sport !== this.getStepValue('sports') || rec.shaftType !== this.getStepValue('shaftTypes')) {
+      note.hidden = true;
+      return;
     }
+
+    const sizeName = this.data.shaftSizes.find(ss => ss.handle === rec.shaftSize)?.name || rec.shaftSize;
+    note.innerHTML = `<strong>Why ${this.escHtml(sizeName)}?</strong> ${rec.reasons.map(r => this.escHtml(r)).join(' · ')}. You can still pick any size.`;
+    note.hidden = false;
+  }
+
+
+  formatHeightRange(min, max) {
+    const fmt = inches => `${Math.floor(inches / 12)}'${inches % 12}"`;
+    if (min != null && max != null) return `${fmt(min)}–${fmt(max)} tall`;
+    if (min != null) return `${fmt(min)} and taller`;
+    return `up to ${fmt(max)} tall`;
   }
 
 
@@ -291,48 +919,113 @@ class SystemBuilder extends HTMLElement {
   }
 
 
-  clearShaftSizeChips() {
-    const container = this.querySelector('[data-chips="shaft-size"]');
+  clearStepChips(stepName) {
+    const container = this.querySelector(`[data-chips="${stepName}"]`);
     if (container) container.innerHTML = '';
   }
 
 
-  hideShaftProduct() {
-    const display = this.querySelector('[data-product="shaft"]');
+  hideStepProducts(step) {
+    const { slot } = step.products;
+    const display  = this.querySelector(`[data-product="${slot}"]`);
     if (display) {
       display.innerHTML = '';
       display.hidden = true;
     }
-    delete this.selectedProducts.shaft;
+    delete this.selectedProducts[slot];
   }
 
 
-  showAccessoryPanels() {
-    const balls      = this.querySelector('[data-step="balls"]');
-    const pineapples = this.querySelector('[data-step="pineapples"]');
-    if (balls)      balls.hidden      = false;
-    if (pineapples) pineapples.hidden = false;
+  showPanels(stepNames) {
+    stepNames.forEach(name => {
+      const panel = this.querySelector(`[data-step="${name}"]`);
+      if (panel) panel.hidden = false;
+    });
   }
 
 
-  hideAccessoryPanels() {
-    const balls      = this.querySelector('[data-step="balls"]');
-    const pineapples = this.querySelector('[data-step="pineapples"]');
-    if (balls)      balls.hidden      = true;
-    if (pineapples) pineapples.hidden = true;
+  hidePanels(stepNames) {
+    stepNames.forEach(name => {
+      const panel = this.querySelector(`[data-step="${name}"]`);
+      if (!panel) return;
+      panel.hidden = true;
 
-    // Deselect all ball/pineapple products
-    Object.keys(this.selectedProducts).forEach(key => {
-      if (key.startsWith('ball-') || key.startsWith('pineapple-')) {
-        delete this.selectedProducts[key];
-      }
+      // Deselect the panel's products and reset their cards
+      panel.querySelectorAll('[data-product-card]').forEach(card => {
+        delete this.selectedProducts[`${card.dataset.productType}-${card.dataset.productIndex}`];
+        card.classList.remove('system-builder__product-card--selected');
+        card.setAttribute('aria-pressed', 'false');
+      });
     });
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // Accessory compatibility
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Accessories listed in compatibility rules only fit the shaft types/sizes
+   * those rules allow; accessories without any rule fit everything.
+   * Returns { compatible, behavior, reason }.
+   */
+  getCompatibility(card) {
+    const productId = parseInt(card.dataset.productId, 10);
+    const rules     = this.data.compatibility.filter(r => Array.isArray(r.productIds) && r.productIds.includes(productId));
+    const shaftType = this.getStepValue('shaftTypes');
+    const shaftSize = this.getStepValue('shaftSizes');
+    if (rules.length === 0 || !shaftSize) return { compatible: true };
+
+    const allowed = rules.some(r =>
+      (!r.shaftTypeHandles?.length || r.shaftTypeHandles.includes(shaftType)) &&
+      (!r.shaftSizeHandles?.length || r.shaftSizeHandles.includes(shaftSize))
+    );
+    if (allowed) return { compatible: true };
+
+    const rule     = rules.find(r => r.message) || rules[0];
+    const behavior = ['hide', 'disable', 'flag'].includes(rule.behavior) ? rule.behavior : 'disable';
+    return { compatible: false, behavior, reason: rule.message || this.getDefaultIncompatibleReason() };
+  }
+
+
+  getDefaultIncompatibleReason() {
+    const typeName = this.data.shaftTypes.find(st => st.handle === this.getStepValue('shaftTypes'))?.name || '';
+    const sizeName = this.data.shaftSizes.find(ss => ss.handle === this.getStepValue('shaftSizes'))?.name || '';
+    return `Doesn't fit the ${[sizeName, typeName].filter(Boolean).join(' ') || 'selected shaft'}.`;
+  }
+
+
+  applyCompatibility() {
+    this.compatibilityRemovals = [];
 
-    // Reset visual state of those cards
     this.querySelectorAll('[data-product-card][data-product-type="ball"], [data-product-card][data-product-type="pineapple"]')
       .forEach(card => {
-        card.classList.remove('system-builder__product-card--selected');
-        card.setAttribute('aria-pressed', 'false');
+        const result  = this.getCompatibility(card);
+        const blocked = !result.compatible && result.behavior !== 'flag';
+        const slotKey = `${card.dataset.productType}-${card.dataset.productIndex}`;
+        const note    = card.querySelector('[data-compat-note]');
+
+        card.hidden = !result.compatible && result.behavior === 'hide';
+        card.classList.toggle('system-builder__product-card--disabled', !result.compatible && result.behavior === 'disable');
+        card.classList.toggle('system-builder__product-card--flagged', !result.compatible && result.behavior === 'flag');
+        card.setAttribute('aria-disabled', blocked ? 'true' : 'false');
+        card.tabIndex = blocked ? -1 : 0;
+        if (note) {
+          note.textContent = result.compatible ? '' : result.reason;
+          note.hidden = result.compatible;
+        }
+
+        const selected = this.selectedProducts[slotKey];
+        if (!selected) return;
+
+        if (blocked) {
+          this.compatibilityRemovals.push({ title: selected.title, reason: result.reason });
+          delete this.selectedProducts[slotKey];
+          card.classList.remove('system-builder__product-card--selected');
+          card.setAttribute('aria-pressed', 'false');
+        } else {
+          selected.incompatibleReason = result.compatible ? null : result.reason;
+        }
       });
   }
 
@@ -342,6 +1035,9 @@ class SystemBuilder extends HTMLElement {
   // ---------------------------------------------------------------------------
 
   handleProductCardClick(card) {
+    // Incompatible accessories (hide/disable rules) can't be selected
+    if (card.getAttribute('aria-disabled') === 'true') return;
+
     const productType = card.dataset.productType;
     const index       = card.dataset.productIndex;
     const variantId   = card.querySelector('[data-variant-id]')?.value;
@@ -352,32 +1048,35 @@ class SystemBuilder extends HTMLElement {
     const imgEl   = card.querySelector('.system-builder__product-img');
     const rawImage = card.dataset.image || imgEl?.src || '';
 
-    if (productType === 'shaft') {
-      // Shaft variants are mutually exclusive — clicking one deselects the others
+    if (this.isStepSlot(productType)) {
+      // Step product variants (the shaft) are mutually exclusive — clicking one deselects the others
       const clickedId       = parseInt(variantId, 10);
-      const alreadySelected = this.selectedProducts.shaft?.id === clickedId;
+      const alreadySelected = this.selectedProducts[productType]?.id === clickedId;
 
-      // Reset all shaft card visuals
-      this.querySelectorAll('[data-product-card][data-product-type="shaft"]').forEach(c => {
+      // Reset all card visuals for this slot
+      this.querySelectorAll(`[data-product-card][data-product-type="${productType}"]`).forEach(c => {
         c.classList.remove('system-builder__product-card--selected');
         c.setAttribute('aria-pressed', 'false');
       });
 
       if (alreadySelected) {
         // Toggle off if clicking the already-selected variant
-        delete this.selectedProducts.shaft;
+        delete this.selectedProducts[productType];
       } else {
-        this.selectedProducts.shaft = {
+        this.selectedProducts[productType] = {
           id:       clickedId,
           title:    titleEl?.textContent?.trim() || '',
           price,
           image:    rawImage,
-          slotKey:  'shaft',
+          handle:   card.dataset.productHandle,
+          layer:    card.dataset.previewLayer || null,
+          slotKey:  productType,
           quantity: 1
         };
         card.classList.add('system-builder__product-card--selected');
         card.setAttribute('aria-pressed', 'true');
       }
+      this.syncCompareSelection(productType);
 
     } else {
       // Accessories (balls, pineapples) toggle independently
@@ -388,13 +1087,17 @@ class SystemBuilder extends HTMLElement {
         card.classList.remove('system-builder__product-card--selected');
         card.setAttribute('aria-pressed', 'false');
       } else {
+        const compatibility = this.getCompatibility(card);
         this.selectedProducts[slotKey] = {
           id:       parseInt(variantId, 10),
           title:    titleEl?.textContent?.trim() || '',
           price,
           image:    rawImage,
+          handle:   card.dataset.productHandle,
+          layer:    card.dataset.previewLayer || null,
           slotKey,
-          quantity: 1
+          quantity: 1,
+          incompatibleReason: compatibility.compatible ? null : compatibility.reason
         };
         card.classList.add('system-builder__product-card--selected');
         card.setAttribute('aria-pressed', 'true');
@@ -402,6 +1105,114 @@ class SystemBuilder extends HTMLElement {
     }
 
     this.updateSummary();
+
+    const slotKey = this.isStepSlot(productType) ? productType : `${productType}-${index}`;
+    this.track('product-toggled', {
+      slotKey,
+      variantId: parseInt(variantId, 10),
+      selected:  this.selectedProducts[slotKey]?.id === parseInt(variantId, 10)
+    });
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // Accessory variants
+  // ---------------------------------------------------------------------------
+
+  getCardVariants(card) {
+    const variantsEl = card.querySelector('[data-card-variants]');
+    return variantsEl ? JSON.parse(variantsEl.textContent) : [];
+  }
+
+
+  handleVariantPill(pill) {
+    const card = pill.closest('[data-product-card]');
+    if (card) this.setCardVariant(card, parseInt(pill.dataset.variantPill, 10));
+  }
+
+
+  handleVariantOptionChange(select) {
+    const card = select.closest('[data-product-card]');
+    if (!card) return;
+
+    const values   = Array.from(card.querySelectorAll('[data-variant-option]')).map(sel => sel.value);
+    const variants = this.getCardVariants(card).filter(v => v.available || v.preorder);
+
+    // Exact match first, then drop trailing options until something is purchasable
+    let variant = null;
+    for (let len = values.length; len >= 1 && !variant; len--) {
+      variant = variants.find(v => values.slice(0, len).every((value, i) => v.options[i] === value));
+    }
+
+    if (variant) {
+      this.setCardVariant(card, variant.id);
+    } else {
+      // Nothing in stock for this choice — put the dropdowns back
+      this.setCardVariant(card, parseInt(card.querySelector('[data-variant-id]')?.value, 10));
+    }
+  }
+
+
+  /**
+   * Switches an accessory card to another of its variants: price, image and
+   * title update in place, and a selected card carries the new variant into
+   * the summary (and so into the cart). Returns false for sold-out variants.
+   */
+  setCardVariant(card, variantId) {
+    const variant = this.getCardVariants(card).find(v => v.id === variantId);
+    if (!variant || (!variant.available && !variant.preorder)) return false;
+
+    const productTitle = card.dataset.productTitle || '';
+    const title = variant.title && variant.title !== 'Default Title' ? `${productTitle} — ${variant.title}` : productTitle;
+
+    const input   = card.querySelector('[data-variant-id]');
+    const titleEl = card.querySelector('.system-builder__product-title');
+    const priceEl = card.querySelector('.system-builder__product-price');
+    const imgEl   = card.querySelector('.system-builder__product-img');
+    const badge   = card.querySelector('[data-preorder-badge]');
+
+    if (input)   input.value = variant.id;
+    if (titleEl) titleEl.textContent = title;
+    if (priceEl) priceEl.textContent = this.formatMoney(variant.price);
+    if (imgEl && variant.image) {
+      imgEl.src = variant.image;
+      imgEl.removeAttribute('srcset');
+      imgEl.alt = title;
+    }
+    if (badge) badge.hidden = !variant.preorder;
+    card.dataset.price        = variant.price;
+    card.dataset.previewLayer = variant.previewLayer || '';
+
+    card.querySelectorAll('[data-variant-pill]').forEach(pill => {
+      const active = parseInt(pill.dataset.variantPill, 10) === variant.id;
+      pill.classList.toggle('system-builder__variant-pill--selected', active);
+      pill.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+    card.querySelectorAll('[data-variant-option]').forEach(sel => {
+      sel.value = variant.options[parseInt(sel.dataset.variantOption, 10)];
+    });
+
+    const slotKey  = `${card.dataset.productType}-${card.dataset.productIndex}`;
+    const selected = this.selectedProducts[slotKey];
+    card.setAttribute('aria-label', `${selected ? 'Remove from' : 'Add to'} your system: ${title}`);
+
+    if (selected && selected.id !== variant.id) {
+      Object.assign(selected, {
+        id:          variant.id,
+        title,
+        price:       variant.price,
+        image:       imgEl?.src || selected.image,
+        layer:       variant.previewLayer || null,
+        unavailable: null
+      });
+      this.updateSummary();
+    }
+    return true;
+  }
+
+
+  isStepSlot(productType) {
+    return this.steps.some(step => step.products?.slot === productType);
   }
 
 
@@ -409,13 +1220,14 @@ class SystemBuilder extends HTMLElement {
     const slotKey = button.dataset.summaryRemove;
     if (!slotKey) return;
 
+    const removed = this.selectedProducts[slotKey];
     delete this.selectedProducts[slotKey];
 
     // Deselect the matching card visually
     this.querySelectorAll('[data-product-card]').forEach(card => {
       const type  = card.dataset.productType;
       const idx   = card.dataset.productIndex;
-      const key   = type === 'shaft' ? 'shaft' : `${type}-${idx}`;
+      const key   = this.isStepSlot(type) ? type : `${type}-${idx}`;
       if (key === slotKey) {
         card.classList.remove('system-builder__product-card--selected');
         card.setAttribute('aria-pressed', 'false');
@@ -423,6 +1235,7 @@ class SystemBuilder extends HTMLElement {
     });
 
     this.updateSummary();
+    this.track('product-toggled', { slotKey, variantId: removed?.id, selected: false, source: 'summary' });
   }
 
 
@@ -437,6 +1250,7 @@ class SystemBuilder extends HTMLElement {
 
     product.quantity = newQty;
     this.updateSummary();
+    this.track('quantity-changed', { slotKey, variantId: product.id, quantity: newQty, delta });
   }
 
 
@@ -471,6 +1285,11 @@ class SystemBuilder extends HTMLElement {
             <div class="system-builder__summary-item-details">
               <span class="system-builder__summary-name">${this.escHtml(product.title)}</span>
               <span class="system-builder__summary-price">${this.formatMoney((product.price || 0) * qty)}</span>
+              ${product.incompatibleReason
+                ? `<span class="system-builder__summary-warning">${this.escHtml(product.incompatibleReason)}</span>`
+                : ''
+              }
+              ${product.unavailable ? this.renderUnavailable(product) : ''}
               <div class="system-builder__qty">
                 <button type="button" class="system-builder__qty-btn" data-qty-change="-1" data-slot-key="${product.slotKey}" aria-label="Decrease quantity">−</button>
                 <span class="system-builder__qty-value">${qty}</span>
@@ -486,11 +1305,23 @@ class SystemBuilder extends HTMLElement {
       }).join('');
     }
 
-    // Total (sum of price × quantity per line)
-    const total   = entries.reduce((sum, p) => sum + (p.price || 0) * (p.quantity || 1), 0);
-    const totalEl = summary.querySelector('[data-total-price]');
+    // Explain accessories that were dropped because they don't fit the shaft
+    const notesEl = summary.querySelector('[data-summary-notes]');
+    if (notesEl) {
+      notesEl.innerHTML = this.compatibilityRemovals.map(r =>
+        `<p class="system-builder__summary-note">Removed ${this.escHtml(r.title)}: ${this.escHtml(r.reason)}</p>`
+      ).join('');
+      notesEl.hidden = this.compatibilityRemovals.length === 0;
+    }
+
+    // Total (sum of price × quantity per line, less any bundle tier saving)
+    const { subtotal, savings, total, tier, next } = this.getTotals();
+    const totalEl  = summary.querySelector('[data-total-price]');
     if (totalEl) totalEl.textContent = this.formatMoney(total);
 
+    this.renderBundleSavings(summary, subtotal, savings, tier, next);
+    this.renderPreview();
+
     // Button label with item count
     const addToCartBtn = summary.querySelector('[data-add-to-cart]');
     if (addToCartBtn) {
@@ -498,53 +1329,856 @@ class SystemBuilder extends HTMLElement {
         addToCartBtn.dataset.originalText = addToCartBtn.textContent.trim();
       }
       if (entries.length > 0) {
-        addToCartBtn.textContent = `Add to Cart (${entries.length} item${entries.length !== 1 ? 's' : ''})`;
+        const action = this.editing ? 'Save System' : 'Add to Cart';
+        addToCartBtn.textContent = `${action} (${entries.length} item${entries.length !== 1 ? 's' : ''})`;
       } else {
         addToCartBtn.textContent = addToCartBtn.dataset.originalText;
       }
     }
+
+    this.syncUrl();
+    this.saveProgress();
   }
 
 
-  // ---------------------------------------------------------------------------
-  // Add to cart
-  // ---------------------------------------------------------------------------
+  /**
+   * Stacks the selected products' preview layers (transparent PNGs on one
+   * canvas) in slot order: step products (the shaft) at the bottom, then the
+   * accessories. Products without a layer — or every product when none has
+   * one — show as a thumbnail collage instead.
+   */
+  renderPreview() {
+    const preview = this.querySelector('[data-preview]');
+    if (!preview) return;
+
+    const stage   = preview.querySelector('[data-preview-stage]');
+    const collage = preview.querySelector('[data-preview-collage]');
+    const entries = Object.values(this.selectedProducts);
+    const layered = entries
+      .filter(p => p.layer)
+      .sort((a, b) => Number(this.isStepSlot(b.slotKey)) - Number(this.isStepSlot(a.slotKey)));
+    const thumbs  = entries.filter(p => !p.layer && p.image);
+
+    preview.hidden = layered.length === 0 && thumbs.length === 0;
+
+    if (stage) {
+      stage.querySelectorAll('[data-preview-layer]').forEach(layer => layer.remove());
+      stage.insertAdjacentHTML('beforeend', layered.map((p, i) => `
+        <img src="${this.escAttr(p.layer)}"
+             alt="${this.escAttr(p.title)}"
+             class="system-builder__preview-layer system-builder__preview-layer--${this.escAttr(p.slotKey.replace(/-\d+$/, ''))}"
+             style="z-index: ${i + 1};"
+             data-preview-layer>
+      `).join(''));
+      stage.hidden = layered.length === 0;
+    }
 
-  async handleAddToCart(button) {
-    const items = Object.values(this.selectedProducts)
-      .filter(p => p.id)
-      .map(p => ({ id: p.id, quantity: p.quantity || 1, properties: { _source: 'System Builder' } }));
+    if (collage) {
+      const shown = thumbs.slice(0, 4);
+      const more  = thumbs.length - shown.length;
+      collage.innerHTML = shown.map((p, i) => `
+        <div class="system-builder__preview-thumb">
+          <img src="${this.escAttr(p.image)}" alt="${this.escAttr(p.title)}" loading="lazy">
+          ${more > 0 && i === shown.length - 1 ? `<span class="system-builder__preview-more">+${more}</span>` : ''}
+        </div>
+      `).join('');
+      collage.classList.toggle('system-builder__preview-collage--strip', layered.length > 0);
+      collage.hidden = thumbs.length === 0;
+    }
+  }
 
-    if (items.length === 0) {
-      const original = button.dataset.originalText || button.textContent.trim();
+
+  getTotals() {
+    const subtotal = Object.values(this.selectedProducts).reduce((sum, p) => sum + (p.price || 0) * (p.quantity || 1), 0);
+    const { tier, next } = this.getBundleTiers();
+    const savings  = tier ? Math.round(subtotal * tier.discountPercent / 100) : 0;
+    return { subtotal, savings, total: subtotal - savings, tier, next };
+  }
+
+
+  renderUnavailable(product) {
+    const { message, alternatives } = product.unavailable;
+    return `
+      <span class="system-builder__summary-error">${this.escHtml(message)}</span>
+      ${alternatives.length > 0
+        ? `<div class="system-builder__summary-alternatives">
+             <span class="system-builder__summary-alternatives-label">Try instead:</span>
+             ${alternatives.map(alt => `
+               <button type="button"
+                       class="system-builder__alternative"
+                       data-swap-variant="${alt.id}"
+                       data-slot-key="${product.slotKey}">${this.escHtml(alt.label)}</button>
+             `).join('')}
+           </div>`
+        : ''
+      }
+    `;
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // Availability
+  // ---------------------------------------------------------------------------
+
+  /**
+   * The shaft and accessory data is rendered with the page and goes stale, so
+   * every selected variant is re-checked against /products/<handle>.js right
+   * before adding. Slots whose variant sold out are flagged in the summary with
+   * in-builder alternatives. Returns the flagged products.
+   */
+  async checkAvailability() {
+    const entries  = Object.values(this.selectedProducts).filter(p => p.handle);
+    const handles  = [...new Set(entries.map(p => p.handle))];
+    const products = {};
+
+    await Promise.all(handles.map(async handle => {
+      try {
+        const response = await fetch(`/products/${encodeURIComponent(handle)}.js`, { headers: { 'Accept': 'application/json' } });
+        if (response.ok) products[handle] = await response.json();
+      } catch (e) {
+        // Can't confirm — leave it to /cart/add.js to reject if it really sold out
+        console.warn(`[SB] Could not re-check availability of ${handle}:`, e);
+      }
+    }));
+
+    const unavailable = [];
+    entries.forEach(entry => {
+      const product = products[entry.handle];
+      if (!product) return;
+
+      const variant = product.variants.find(v => v.id === entry.id);
+      if (variant?.available) {
+        entry.unavailable = null;
+        return;
+      }
+
+      entry.unavailable = {
+        message:      `${entry.title} ${variant ? 'just sold out' : 'is no longer available'}.`,
+        alternatives: this.getAlternatives(entry, product)
+      };
+      unavailable.push(entry);
+    });
+
+    return unavailable;
+  }
+
+
+  /**
+   * Other in-stock variants of the same product that the builder can select:
+   * another color or size of the shaft within the chosen shaft type, or
+   * another rendered variant card of an accessory.
+   */
+  getAlternatives(entry, product) {
+    const step = this.steps.find(s => s.products?.slot === entry.slotKey);
+
+    return product.variants
+      .filter(v => v.available && v.id !== entry.id)
+      .map(v => {
+        const label = v.public_title || v.title || product.title;
+        if (step) {
+          const offered = this.getStepOptions(step).some(o => (o[step.products.key] || []).some(item => item.id === v.id));
+          return offered ? { id: v.id, label } : null;
+        }
+        const card = this.findProductCard(v.id);
+        return card && card.getAttribute('aria-disabled') !== 'true' ? { id: v.id, label } : null;
+      })
+      .filter(Boolean);
+  }
+
+
+  handleSwapVariant(button) {
+    const slotKey   = button.dataset.slotKey;
+    const variantId = parseInt(button.dataset.swapVariant, 10);
+    const current   = this.selectedProducts[slotKey];
+    if (!current || !variantId) return;
+
+    const quantity = current.quantity || 1;
+    const step     = this.steps.find(s => s.products?.slot === slotKey);
+
+    if (step) {
+      // The alternative may belong to another size, so pick that chip first
+      const option = this.getStepOptions(step).find(o => (o[step.products.key] || []).some(item => item.id === variantId));
+      if (option && option.handle !== this.state[step.stateKey]) this.selectChip(step.field, option.handle);
+    } else {
+      const currentCard = this.findProductCard(current.id);
+      // Another variant of the same accessory just switches the card in place
+      if (currentCard && currentCard === this.findProductCard(variantId)) {
+        this.setCardVariant(currentCard, variantId);
+        if (!Object.values(this.selectedProducts).some(p => p.unavailable)) this.hideNotice();
+        return;
+      }
+      if (currentCard) this.handleProductCardClick(currentCard);
+    }
+
+    const card = this.findProductCard(variantId, step ? slotKey : undefined);
+    if (!card) return;
+    if (card.getAttribute('aria-pressed') !== 'true') this.handleProductCardClick(card);
+
+    const newSlotKey = step ? slotKey : `${card.dataset.productType}-${card.dataset.productIndex}`;
+    if (this.selectedProducts[newSlotKey]) this.selectedProducts[newSlotKey].quantity = quantity;
+    if (!Object.values(this.selectedProducts).some(p => p.unavailable)) this.hideNotice();
+    this.updateSummary();
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // Bundle pricing tiers
+  // ---------------------------------------------------------------------------
+
+  getBundleProgress() {
+    const hasShaft    = Boolean(this.selectedProducts[this.productSlot]);
+    const accessories = Object.keys(this.selectedProducts).filter(key => key !== this.productSlot).length;
+    return { hasShaft, accessories };
+  }
+
+
+  tierReached(tier, { hasShaft, accessories }) {
+    return (!tier.requiresShaft || hasShaft) && accessories >= (tier.minAccessories || 0);
+  }
+
+
+  /**
+   * Returns the best tier the current selection qualifies for and the next,
+   * better tier (if any) to use as an incentive.
+   */
+  getBundleTiers() {
+    const progress = this.getBundleProgress();
+    const reached  = this.data.bundleTiers.filter(t => this.tierReached(t, progress));
+    const tier     = reached[reached.length - 1] || null;
+    const next     = this.data.bundleTiers.find(t =>
+      (t.discountPercent || 0) > (tier?.discountPercent || 0) && !this.tierReached(t, progress)
+    ) || null;
+    return { tier, next };
+  }
+
+
+  getNextTierMessage(next) {
+    const { hasShaft, accessories } = this.getBundleProgress();
+    const needsShaft  = next.requiresShaft && !hasShaft;
+    const needed      = Math.max(0, (next.minAccessories || 0) - accessories);
+    const parts       = [];
+
+    if (needsShaft) parts.push('a shaft');
+    if (needed > 0) parts.push(`${needed}${accessories > 0 ? ' more' : ''} accessor${needed === 1 ? 'y' : 'ies'}`);
+
+    return `Add ${parts.join(' and ')} to save ${next.discountPercent}%`;
+  }
+
+
+  renderBundleSavings(summary, subtotal, savings, tier, next) {
+    const savingsEl = summary.querySelector('[data-bundle-savings]');
+    if (savingsEl) {
+      savingsEl.hidden = !tier;
+      const subtotalEl = savingsEl.querySelector('[data-subtotal-price]');
+      const labelEl    = savingsEl.querySelector('[data-bundle-tier-label]');
+      const amountEl   = savingsEl.querySelector('[data-bundle-savings-amount]');
+      if (subtotalEl) subtotalEl.textContent = this.formatMoney(subtotal);
+      if (labelEl)    labelEl.textContent    = tier ? `${tier.title} (${tier.discountPercent}% off)` : '';
+      if (amountEl)   amountEl.textContent   = tier ? `-${this.formatMoney(savings)}` : '';
+    }
+
+    const nextEl = summary.querySelector('[data-bundle-next]');
+    if (nextEl) {
+      nextEl.textContent = next ? this.getNextTierMessage(next) : '';
+      nextEl.hidden = !next;
+    }
+  }
+
+
+  /**
+   * Brings the cart's codes in line with the systems in it: the tier's code is
+   * added, and tier codes no line refers to any more (e.g. the tier of the
+   * version just replaced) are dropped. Codes from elsewhere, such as the cart
+   * drawer's discount form, are kept since a discount update replaces them all.
+   */
+  async applyBundleDiscount(tier) {
+    const cart = await window.FoxTheme.CartStore.load().catch(() => null);
+    if (!cart) return null;
+
+    const lower      = code => code.toLowerCase();
+    const tierCodes  = this.data.bundleTiers.map(t => lower(t.discountCode));
+    const referenced = cart.items.map(item => item.properties?._bundle_code).filter(Boolean).map(lower);
+    const current    = (cart.discount_codes || []).map(discount => discount.code);
+    const codes      = current.filter(code => !tierCodes.includes(lower(code)) || referenced.includes(lower(code)));
+    if (tier && !codes.some(code => lower(code) === lower(tier.discountCode))) codes.push(tier.discountCode);
+    if (codes.length === current.length && codes.every(code => current.includes(code))) return null;
+
+    try {
+      const state = await window.FoxTheme.CartQueue.update({ discount: codes.join(','), sections: ['cart-drawer'] });
+      if (state.status) throw new Error(state.description);
+      return state;
+    } catch (error) {
+      // The items are already in the cart; a missing discount shouldn't fail the add
+      console.warn('[SB] Could not update the bundle discount codes', error);
+      return null;
+    }
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // Saved builds (shareable links + local autosave)
+  //
+  // A build is a plain object with one key per step (its stateKey) plus the products:
+  //   { sport, shaftType, shaftSize, shaft: { id, quantity }, accessories: [{ id, quantity }] }
+  // ---------------------------------------------------------------------------
+
+  getBuild() {
+    const { [this.productSlot]: shaft, ...accessories } = this.selectedProducts;
+    const build = {};
+    this.steps.forEach(step => { build[step.stateKey] = this.state[step.stateKey]; });
+    build.shaft       = shaft ? { id: shaft.id, quantity: shaft.quantity || 1 } : null;
+    build.accessories = Object.values(accessories).map(p => ({ id: p.id, quantity: p.quantity || 1 }));
+    return build;
+  }
+
+
+  // A build counts as started once its first step has a value
+  hasStarted(build) {
+    return Boolean(build?.[this.steps[0].stateKey]);
+  }
+
+
+  buildShareUrl() {
+    const url   = new URL(window.location.href);
+    const build = this.getBuild();
+    this.steps.forEach(step => url.searchParams.delete(step.param));
+    Object.values(BUILD_PARAMS).forEach(key => url.searchParams.delete(key));
+
+    this.steps.forEach(step => {
+      if (build[step.stateKey]) url.searchParams.set(step.param, build[step.stateKey]);
+    });
+    if (build.shaft) url.searchParams.set(BUILD_PARAMS.shaft, this.formatBuildItem(build.shaft));
+
+    if (build.accessories.length > 0) {
+      url.searchParams.set(BUILD_PARAMS.accessories, build.accessories.map(p => this.formatBuildItem(p)).join(','));
+    }
+
+    return url.toString();
+  }
+
+
+  syncUrl() {
+    // Restoring replays clicks one by one; only write the URL once it's done
+    if (this.isRestoring) return;
+    const url = this.buildShareUrl();
+    if (url !== window.location.href) window.history.replaceState(window.history.state, '', url);
+  }
+
+
+  restoreFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.get(this.steps[0].param)) return false;
+
+    const shaftParam = params.get(BUILD_PARAMS.shaft);
+    const build      = {};
+    this.steps.forEach(step => { build[step.stateKey] = params.get(step.param); });
+    build.shaft       = shaftParam ? this.parseBuildItem(shaftParam) : null;
+    build.accessories = (params.get(BUILD_PARAMS.accessories) || '').split(',').filter(Boolean).map(entry => this.parseBuildItem(entry));
+
+    this.applyBuild(build, 'this link');
+    return true;
+  }
+
+
+  /**
+   * Replays a saved build through the normal chip and card handlers so the UI
+   * ends up exactly as if the shopper had clicked through it. Anything that no
+   * longer exists or is sold out is skipped and reported in the notice.
+   */
+  applyBuild(build, source) {
+    const issues = [];
+    this.isRestoring = true;
+
+    try {
+      for (const step of this.steps) {
+        const value = build[step.stateKey];
+        // Later steps can't have a value either, but the products may still be restorable
+        if (!value) break;
+        if (!this.selectChip(step.field, value)) {
+          issues.push(`The ${step.label || step.field} in ${source} is no longer available.`);
+          return;
+        }
+      }
+
+      if (build.shaft) {
+        const { id, quantity } = build.shaft;
+        const shaft = this.findBuildShaft(build);
+        const card  = this.findProductCard(id, this.productSlot);
+
+        if (!shaft || !card) {
+          issues.push(`The shaft in ${source} has been removed. Please choose another one.`);
+        } else if (shaft.available === false && !shaft.preorder) {
+          issues.push(`${card.querySelector('.system-builder__product-title')?.textContent?.trim() || `The shaft in ${source}`} is sold out. Please choose another one.`);
+        } else {
+          this.handleProductCardClick(card);
+          if (this.selectedProducts[this.productSlot]) this.selectedProducts[this.productSlot].quantity = quantity;
+        }
+      }
+
+      let missing = 0;
+      const restoredSlots = new Set();
+      const collapsed     = [];
+      const extraLines    = [];
+      (build.accessories || []).forEach(({ id, quantity }) => {
+        const card    = this.findProductCard(id);
+        const slotKey = card && `${card.dataset.productType}-${card.dataset.productIndex}`;
+        // A card holds one variant. When editing, further variants of the same accessory
+        // are carried over unchanged on save; a link or saved build only keeps the first.
+        if (card && restoredSlots.has(slotKey)) {
+          if (!this.editing) {
+            if (!collapsed.includes(card.dataset.productTitle)) collapsed.push(card.dataset.productTitle);
+          } else if (this.getCardVariants(card).some(v => v.id === id && (v.available || v.preorder))) {
+            extraLines.push({ id, quantity, slotKey, title: card.dataset.productTitle });
+          } else {
+            missing++;
+          }
+          return;
+        }
+        // Missing cards are removed products; setCardVariant refuses sold-out variants
+        if (!card || !this.setCardVariant(card, id)) {
+          missing++;
+          return;
+        }
+        if (!this.selectedProducts[slotKey]) this.handleProductCardClick(card);
+        // Still unselected means a compatibility rule blocked it
+        if (!this.selectedProducts[slotKey]) {
+          missing++;
+          return;
+        }
+        this.selectedProducts[slotKey].quantity = quantity;
+        restoredSlots.add(slotKey);
+      });
+      if (missing > 0) {
+        issues.push(`${missing} accessor${missing === 1 ? 'y' : 'ies'} from ${source} ${missing === 1 ? 'is' : 'are'} sold out, no longer available or ${missing === 1 ? "doesn't" : "don't"} fit this shaft and ${missing === 1 ? 'was' : 'were'} left out.`);
+      }
+      if (collapsed.length > 0) {
+        const names = collapsed.join(', ');
+        issues.push(`${source.charAt(0).toUpperCase()}${source.slice(1)} has more than one variant of ${names}. The builder keeps one variant per accessory, so only the first was restored.`);
+      }
+      if (this.editing) {
+        this.editing.extraLines = extraLines;
+        const names = [...new Set(extraLines.map(line => line.title))].join(', ');
+        if (names) issues.push(`Your system also has other variants of ${names}. They stay in it as they are when you save, unless you remove the accessory.`);
+      }
+    } finally {
+      this.isRestoring = false;
+      if (issues.length > 0) this.showNotice(issues.join(' '));
+      this.updateSummary();
+    }
+  }
+
+
+  // The build's shaft variant, looked up in the options of the step it was picked from
+  findBuildShaft(build) {
+    const step   = this.getProductStep();
+    const option = step && (this.data[step.source] || []).find(o => o.handle === build[step.stateKey]);
+    return option?.[step.products.key]?.find(v => v.id === build.shaft?.id) || null;
+  }
+
+
+  get storageKey() {
+    return `foxtheme:system-builder:${this.id}`;
+  }
+
+
+  get saveExpiryMs() {
+    const days = parseInt(this.dataset.saveDays || '7', 10);
+    return Math.max(1, days) * 24 * 60 * 60 * 1000;
+  }
+
+
+  saveProgress() {
+    // While editing, the cart itself holds the build
+    if (this.isRestoring || this.editing) return;
+
+    const build = this.getBuild();
+    try {
+      if (this.hasStarted(build)) {
+        localStorage.setItem(this.storageKey, JSON.stringify({ savedAt: Date.now(), build }));
+        // Starting a new build replaces the one we offered to resume
+        this.hideResumePrompt();
+      } else if (!this.pendingResume) {
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (e) {
+      // Storage can be full or disabled (e.g. Safari private mode) — autosave is best-effort
+      console.warn('[SB] Could not save build progress:', e);
+    }
+  }
+
+
+  loadSavedBuild() {
+    let entry = null;
+    try {
+      entry = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+    } catch (e) {
+      return null;
+    }
+    if (!this.hasStarted(entry?.build)) return null;
+
+    if (!entry.savedAt || Date.now() - entry.savedAt > this.saveExpiryMs) {
+      localStorage.removeItem(this.storageKey);
+      return null;
+    }
+
+    // Drop a shaft whose variant has disappeared from the data-shaft-sizes payload
+    const build = entry.build;
+    if (build.shaft && !this.findBuildShaft(build)) build.shaft = null;
+    build.accessories = (build.accessories || []).filter(p => this.findProductCard(p.id));
+
+    return build;
+  }
+
+
+  offerResume() {
+    const build  = this.loadSavedBuild();
+    const prompt = this.querySelector('[data-resume]');
+    if (!build || !prompt) return;
+
+    this.pendingResume = build;
+    prompt.hidden = false;
+  }
+
+
+  hideResumePrompt() {
+    const prompt = this.querySelector('[data-resume]');
+    if (prompt) prompt.hidden = true;
+    this.pendingResume = null;
+  }
+
+
+  handleResume() {
+    const build = this.pendingResume;
+    this.hideResumePrompt();
+    if (build) this.applyBuild(build, 'your saved build');
+  }
+
+
+  handleStartFresh() {
+    this.hideResumePrompt();
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (e) {}
+    this.resetBuilder('start-fresh');
+  }
+
+
+  async handleCopyLink(button) {
+    const original = button.dataset.originalText || button.textContent.trim();
+    button.dataset.originalText = original;
+
+    try {
+      await navigator.clipboard.writeText(this.buildShareUrl());
+      button.textContent = 'Link copied!';
+    } catch (e) {
+      console.error('[SB] Could not copy link:', e);
+      button.textContent = 'Copy failed – use the address bar';
+    }
+    setTimeout(() => { button.textContent = original; }, 2000);
+  }
+
+
+  selectChip(field, value) {
+    const chip = this.querySelector(`[data-chips="${field}"] [data-chip][data-value="${CSS.escape(value)}"]`);
+    if (!chip) return false;
+    this.handleChipClick(chip);
+    return true;
+  }
+
+
+  // Matches the card's current variant or, for accessory cards, any variant in its picker
+  findProductCard(variantId, productType) {
+    const typeSelector = productType ? `[data-product-type="${productType}"]` : '';
+    return Array.from(this.querySelectorAll(`[data-product-card]${typeSelector}`))
+      .find(card =>
+        parseInt(card.querySelector('[data-variant-id]')?.value, 10) === variantId ||
+        this.getCardVariants(card).some(v => v.id === variantId)
+      ) || null;
+  }
+
+
+  formatBuildItem(product) {
+    const qty = product.quantity || 1;
+    return qty > 1 ? `${product.id}:${qty}` : String(product.id);
+  }
+
+
+  parseBuildItem(value) {
+    const [id, qty] = String(value).split(':');
+    return {
+      id:       parseInt(id, 10),
+      quantity: Math.max(1, parseInt(qty, 10) || 1)
+    };
+  }
+
+
+  showNotice(message) {
+    const notice = this.querySelector('[data-notice]');
+    if (!notice) return;
+    notice.textContent = message;
+    notice.hidden = false;
+  }
+
+
+  hideNotice() {
+    const notice = this.querySelector('[data-notice]');
+    if (!notice) return;
+    notice.textContent = '';
+    notice.hidden = true;
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // Print / email summary
+  // ---------------------------------------------------------------------------
+
+  getSummaryData() {
+    const { subtotal, savings, total, tier } = this.getTotals();
+    const config = this.steps
+      .filter(step => this.state[step.stateKey])
+      .map(step => {
+        const value = this.state[step.stateKey];
+        const label = step.label || step.field;
+        return {
+          label: label.charAt(0).toUpperCase() + label.slice(1),
+          value: (this.data[step.source] || []).find(o => o.handle === value)?.name || value
+        };
+      });
+
+    return {
+      title:  this.querySelector('.system-builder__heading')?.textContent?.trim() || 'My System Build',
+      config,
+      items:  Object.values(this.selectedProducts).map(p => ({
+        title:     p.title,
+        quantity:  p.quantity || 1,
+        unitPrice: p.price || 0,
+        lineTotal: (p.price || 0) * (p.quantity || 1)
+      })),
+      subtotal,
+      savings,
+      total,
+      tierTitle: tier?.title || null,
+      url:       this.buildShareUrl()
+    };
+  }
+
+
+  // Plain text version used as the contact form message body
+  formatSummaryText(data) {
+    const lines = [data.title, ''];
+    data.config.forEach(c => lines.push(`${c.label}: ${c.value}`));
+    if (data.config.length > 0) lines.push('');
+    data.items.forEach(item => lines.push(`${item.quantity} × ${item.title} — ${this.formatMoney(item.lineTotal)}`));
+    lines.push('');
+    if (data.savings > 0) {
+      lines.push(`Subtotal: ${this.formatMoney(data.subtotal)}`);
+      lines.push(`${data.tierTitle} savings: -${this.formatMoney(data.savings)}`);
+    }
+    lines.push(`Total: ${this.formatMoney(data.total)}`);
+    lines.push('', `Open this build: ${data.url}`);
+    return lines.join('\n');
+  }
+
+
+  renderPrintSummary(data) {
+    const esc = str => this.escHtml(str);
+    return `<!doctype html>
+      <html lang="${esc(document.documentElement.lang || 'en')}">
+      <head>
+        <meta charset="utf-8">
+        <title>${esc(data.title)}</title>
+        <style>
+          body { font-family: system-ui, sans-serif; color: #111; margin: 32px; }
+          h1 { font-size: 1.5rem; margin: 0 0 16px; }
+          dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0 0 24px; }
+          dt { font-weight: 600; }
+          dd { margin: 0; }
+          table { width: 100%; border-collapse: collapse; }
+          th, td { padding: 8px 0; border-bottom: 1px solid #ddd; text-align: left; }
+          td.num, th.num { text-align: right; }
+          tfoot td { border-bottom: 0; font-weight: 600; }
+          .link { margin-top: 24px; font-size: 0.875rem; word-break: break-all; }
+        </style>
+      </head>
+      <body>
+        <h1>${esc(data.title)}</h1>
+        <dl>${data.config.map(c => `<dt>${esc(c.label)}</dt><dd>${esc(c.value)}</dd>`).join('')}</dl>
+        <table>
+          <thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Price</th><th class="num">Total</th></tr></thead>
+          <tbody>
+            ${data.items.map(item => `
+              <tr>
+                <td>${esc(item.title)}</td>
+                <td class="num">${item.quantity}</td>
+                <td class="num">${esc(this.formatMoney(item.unitPrice))}</td>
+                <td class="num">${esc(this.formatMoney(item.lineTotal))}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+          <tfoot>
+            ${data.savings > 0 ? `
+              <tr><td colspan="3">Subtotal</td><td class="num">${esc(this.formatMoney(data.subtotal))}</td></tr>
+              <tr><td colspan="3">${esc(data.tierTitle)} savings</td><td class="num">-${esc(this.formatMoney(data.savings))}</td></tr>
+            ` : ''}
+            <tr><td colspan="3">Total</td><td class="num">${esc(this.formatMoney(data.total))}</td></tr>
+          </tfoot>
+        </table>
+        <p class="link">Open this build: <a href="${esc(data.url)}">${esc(data.url)}</a></p>
+        <script>window.addEventListener('load', () => window.print());<\/script>
+      </body>
+      </html>`;
+  }
+
+
+  handlePrintSummary() {
+    const printWindow = window.open('', '_blank', 'width=800,height=900');
+    if (!printWindow) {
+      this.showNotice('Please allow pop-ups to print your build summary.');
+      return;
+    }
+    printWindow.document.write(this.renderPrintSummary(this.getSummaryData()));
+    printWindow.document.close();
+    printWindow.focus();
+  }
+
+
+  toggleEmailPanel(open) {
+    const panel  = this.querySelector('[data-email-panel]');
+    const toggle = this.querySelector('[data-email-open]');
+    if (!panel) return;
+    panel.hidden = !open;
+    toggle?.setAttribute('aria-expanded', open ? 'true' : 'false');
+    if (open) panel.querySelector('[name="contact[email]"]')?.focus();
+  }
+
+
+  /**
+   * Posts the summary to the store's contact endpoint (the same `form 'contact'`
+   * the Contact Form section uses). If Shopify answers with its spam challenge,
+   * the form is submitted normally so the shopper can complete it.
+   */
+  async handleEmailSubmit(form) {
+    const status = form.querySelector('[data-email-status]');
+    const submit = form.querySelector('[data-email-submit]');
+    const setStatus = (message, isError) => {
+      if (!status) return;
+      status.textContent = message;
+      status.classList.toggle('system-builder__email-status--error', isError);
+      status.hidden = false;
+    };
+
+    if (!form.reportValidity()) return;
+    const bodyInput = form.querySelector('[data-email-body]');
+    if (bodyInput) bodyInput.value = this.formatSummaryText(this.getSummaryData());
+
+    if (submit) submit.disabled = true;
+    try {
+      const response = await fetch(form.action, {
+        method: 'POST',
+        body: new FormData(form),
+        headers: { 'Accept': 'text/html' }
+      });
+      if (response.url.includes('/challenge')) {
+        form.submit();
+        return;
+      }
+      if (!response.ok) throw new Error(`Contact form returned ${response.status}`);
+
+      // Invalid fields come back as a 200 page with the form's errors in it
+      const html   = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const errors = html.getElementById(form.id)?.querySelector('[data-email-errors]');
+      if (errors) {
+        setStatus(errors.textContent.trim().replace(/\s+/g, ' ') || 'Please check your details and try again.', true);
+        return;
+      }
+
+      setStatus("Summary sent! We'll be in touch by email.", false);
+      form.querySelector('[name="contact[note]"]').value = '';
+    } catch (e) {
+      console.error('[SB] Could not send build summary:', e);
+      setStatus('Sorry, the summary could not be sent. Please try again or use Print instead.', true);
+    } finally {
+      if (submit) submit.disabled = false;
+    }
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // Add to cart
+  // ---------------------------------------------------------------------------
+
+  async handleAddToCart(button) {
+    const { tier } = this.getBundleTiers();
+    const properties = {
+      _source:        'System Builder',
+      _system_id:     this.generateSystemId(),
+      _system_url:    window.location.pathname,
+      _system_config: this.steps.map(step => this.state[step.stateKey]).join('|')
+    };
+    if (tier) {
+      properties._bundle_tier     = tier.title;
+      properties._bundle_discount = `${tier.discountPercent}%`;
+      properties._bundle_code     = tier.discountCode;
+    }
+
+    const items = Object.values(this.selectedProducts)
+      .filter(p => p.id)
+      .map(p => ({ id: p.id, quantity: p.quantity || 1, properties: { ...properties, _system_slot: p.slotKey } }));
+
+    // Other variants of an edited system's accessories go back in unchanged while the accessory is still picked
+    (this.editing?.extraLines || [])
+      .filter(line => this.selectedProducts[line.slotKey])
+      .forEach(line => items.push({ id: line.id, quantity: line.quantity, properties: { ...properties, _system_slot: line.slotKey } }));
+
+    if (items.length === 0) {
+      const original = button.dataset.originalText || button.textContent.trim();
       button.textContent = 'Select products first';
       setTimeout(() => { button.textContent = original; }, 2000);
       return;
     }
 
     button.disabled = true;
+    const wasEditing   = Boolean(this.editing);
     const originalText = button.dataset.originalText || button.textContent.trim();
-    button.textContent = 'Adding...';
+
+    // Re-validate stock first so one sold-out variant doesn't fail the whole add
+    button.textContent = 'Checking availability...';
+    const unavailable = await this.checkAvailability();
+    if (unavailable.length > 0) {
+      const names = unavailable.map(p => p.title).join(', ');
+      this.showNotice(`${names} ${unavailable.length === 1 ? 'is' : 'are'} no longer in stock. Pick an alternative or remove ${unavailable.length === 1 ? 'it' : 'them'} from your selection to continue.`);
+      button.disabled = false;
+      this.updateSummary();
+      return;
+    }
+
+    button.textContent = this.editing ? 'Saving...' : 'Adding...';
     console.log('[SB] Adding to cart:', items);
 
     try {
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({ items, sections: ['cart-drawer'] })
-      });
-
-      const addedState = await response.json();
-      if (!response.ok) {
+      const addedState = await window.FoxTheme.CartQueue.add({ items, sections: ['cart-drawer'] });
+      if (addedState.status) {
         console.error('[SB] Cart error:', addedState);
         throw new Error(addedState.description || addedState.message || 'Failed to add to cart');
       }
 
-      const cartResponse = await fetch('/cart.js', { headers: { 'Accept': 'application/json' } });
-      const cart = await cartResponse.json();
+      // Saving an edited system: the new lines are in, now drop the old group.
+      // Adding first means a failed save never leaves the shopper with nothing.
+      if (this.editing) {
+        const replacedState = await this.replaceEditedLines(addedState);
+        if (replacedState.sections) addedState.sections = replacedState.sections;
+        // Stay in edit mode until the reset below, so it doesn't clear the saved build
+        this.editing.lineKeys = [];
+      }
+
+      // Render the drawer from the discounted cart when a tier code was applied
+      const discountedState = await this.applyBundleDiscount(tier);
+      if (discountedState?.sections) addedState.sections = discountedState.sections;
+
+      // Open the cart drawer and render its contents (addedState includes sections HTML).
+      // The cart store refreshes on this event, so the await below shares its request.
+      window.FoxThemeEvents?.emit('ON_ITEM_ADDED', addedState);
+      const cart = await window.FoxTheme.CartStore.refresh();
 
       this.updateCartCount(cart.item_count);
 
@@ -557,16 +2191,20 @@ class SystemBuilder extends HTMLElement {
         detail: { cart }
       }));
 
-      // Open the cart drawer and render its contents (addedState includes sections HTML)
-      window.FoxThemeEvents?.emit('ON_ITEM_ADDED', addedState);
       // Trigger the free shipping popup
       document.dispatchEvent(new CustomEvent('system-builder:item-added'));
-      // Update the free shipping progress bar (cart-goal subscribes to this with direct data)
-      window.FoxThemeEvents?.emit('ON_CART_UPDATED', cart);
 
-      button.textContent = 'Added!';
+      button.textContent = wasEditing ? 'Saved!' : 'Added!';
+      this.track('added-to-cart', {
+        items:         items.map(item => ({ id: item.id, quantity: item.quantity, slotKey: item.properties._system_slot })),
+        systemId:      properties._system_id,
+        replaced:      wasEditing,
+        cartItemCount: cart.item_count
+      });
+
       setTimeout(() => {
-        this.resetBuilder();
+        this.resetBuilder('added-to-cart');
+        if (wasEditing) this.exitEditMode();
         button.disabled = false;
       }, 1500);
 
@@ -581,16 +2219,104 @@ class SystemBuilder extends HTMLElement {
   }
 
 
+  // ---------------------------------------------------------------------------
+  // Editing a system from the cart
+  // ---------------------------------------------------------------------------
+
+  generateSystemId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+
+  async loadSystemFromCart(systemId) {
+    let cart;
+    try {
+      cart = await window.FoxTheme.CartStore.load();
+    } catch (e) {
+      console.error('[SB] Could not load cart for editing:', e);
+    }
+
+    const lines = (cart?.items || []).filter(item => item.properties?._system_id === systemId);
+    if (lines.length === 0) {
+      this.exitEditMode();
+      this.showNotice('This system is no longer in your cart. You can build a new one below.');
+      return;
+    }
+
+    const config    = (lines[0].properties._system_config || '').split('|');
+    const shaftLine = lines.find(line => line.properties._system_slot === this.productSlot);
+    const build     = {};
+    this.steps.forEach((step, i) => { build[step.stateKey] = config[i] || null; });
+    build.shaft       = shaftLine ? { id: shaftLine.variant_id, quantity: shaftLine.quantity } : null;
+    build.accessories = lines.filter(line => line !== shaftLine).map(line => ({ id: line.variant_id, quantity: line.quantity }));
+
+    this.editing = { systemId, lineKeys: lines.map(line => line.key), extraLines: [] };
+    this.applyBuild(build, 'your cart');
+
+    if (this.querySelector('[data-notice]')?.hidden) {
+      this.showNotice('You are editing a system from your cart. Saving will replace it.');
+    }
+  }
+
+
+  // Resolves with the cart (and drawer section); rejects when the lines stay in the cart
+  async removeCartLines(keys) {
+    const state = await window.FoxTheme.CartQueue.update({
+      updates:  Object.fromEntries(keys.map(key => [key, 0])),
+      sections: ['cart-drawer']
+    });
+    if (state.status) throw new Error(state.description || 'Could not remove the cart lines');
+    return state;
+  }
+
+
+  /**
+   * Drops the previous version of an edited system once its new lines are in.
+   * If that fails, the new lines are taken back out so the cart doesn't hold the
+   * system twice; the shopper is told either way and the save counts as failed.
+   */
+  async replaceEditedLines(addedState) {
+    try {
+      return await this.removeCartLines(this.editing.lineKeys);
+    } catch (error) {
+      console.error('[SB] Could not remove the previous version of this system:', error);
+    }
+
+    const addedKeys = (addedState.items || []).map(item => item.key);
+    try {
+      await this.removeCartLines(addedKeys);
+      this.showNotice("Your changes couldn't be saved, so your cart still has the system as it was. Please try again.");
+    } catch (error) {
+      console.error('[SB] Could not take the new version of this system back out:', error);
+      // Show the shopper both copies so they can remove one
+      window.FoxThemeEvents?.emit('ON_ITEM_ADDED', addedState);
+      this.exitEditMode();
+      this.showNotice('Your updated system was added, but the previous version could not be removed. Please remove one of them from your cart.');
+    }
+    throw new Error('Error – Try Again');
+  }
+
+
+  exitEditMode() {
+    this.editing = null;
+    const url = new URL(window.location.href);
+    url.searchParams.delete(EDIT_SYSTEM_PARAM);
+    window.history.replaceState(window.history.state, '', url);
+  }
+
+
   // ---------------------------------------------------------------------------
   // Reset
   // ---------------------------------------------------------------------------
 
-  resetBuilder() {
+  resetBuilder(reason = 'reset') {
+    // Report what was abandoned (or just added) before it's cleared
+    this.track('reset', { reason });
+
     // Clear state
-    this.state.sport     = null;
-    this.state.shaftType = null;
-    this.state.shaftSize = null;
+    this.steps.forEach(step => { this.state[step.stateKey] = null; });
     this.selectedProducts = {};
+    this.recommendation   = null;
 
     // Deselect all chips visually
     this.querySelectorAll('[data-chip]').forEach(c => {
@@ -599,22 +2325,65 @@ class SystemBuilder extends HTMLElement {
     });
 
     // Reset step titles to section defaults
-    const shaftTypeTitleEl = this.querySelector('[data-step="shaft-type"] .system-builder__step-title');
-    const shaftSizeTitleEl = this.querySelector('[data-step="shaft-size"] .system-builder__step-title');
-    if (shaftTypeTitleEl) shaftTypeTitleEl.textContent = this.defaultShaftTypeTitle;
-    if (shaftSizeTitleEl) shaftSizeTitleEl.textContent = this.defaultShaftSizeTitle;
+    this.updateStepTitles();
 
     // Hide dynamically-shown steps and clear their content
-    this.hideStep('shaft-type');
-    this.hideStep('shaft-size');
-    this.clearShaftSizeChips();
-    this.hideShaftProduct();
-    this.hideAccessoryPanels();
+    this.steps.forEach((step, i) => {
+      if (i > 0) {
+        this.hideStep(step.field);
+        this.clearStepChips(step.field);
+      }
+      if (step.products) this.hideStepProducts(step);
+      if (step.unlocks) this.hidePanels(step.unlocks);
+    });
+    this.hideNotice();
+    this.updateRecommendationNote();
+    this.applyCompatibility();
 
     this.updateSummary();
   }
 
 
+  // ---------------------------------------------------------------------------
+  // Analytics
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Emits a funnel event with the current selection and running total (cents)
+   * so an analytics layer can see how far each shopper got. Replayed builds
+   * (shared links, resume, cart edits) are not the shopper's own clicks and
+   * stay silent.
+   */
+  track(name, detail = {}) {
+    if (this.isRestoring) return;
+
+    const { subtotal, savings, total, tier } = this.getTotals();
+    const payload = {
+      event:     name,
+      builderId: this.id,
+      editing:   Boolean(this.editing),
+      state:     { ...this.state },
+      products:  Object.values(this.selectedProducts).map(p => ({
+        slotKey:  p.slotKey,
+        id:       p.id,
+        title:    p.title,
+        price:    p.price,
+        quantity: p.quantity || 1
+      })),
+      itemCount:  Object.keys(this.selectedProducts).length,
+      subtotal,
+      savings,
+      total,
+      bundleTier: tier?.title || null,
+      currency:   window.Shopify?.currency?.active || null,
+      ...detail
+    };
+
+    window.FoxThemeEvents?.emit(`ON_SYSTEM_BUILDER_${name.toUpperCase().replace(/-/g, '_')}`, payload);
+    this.dispatchEvent(new CustomEvent(`system-builder:${name}`, { bubbles: true, detail: payload }));
+  }
+
+
   // ---------------------------------------------------------------------------
   // Utilities
   // ---------------------------------------------------------------------------